@@ -1,22 +1,189 @@
-import { csvParse } from "https://cdn.jsdelivr.net/npm/d3-dsv@3/+esm";
+import { csvFormat } from "https://cdn.jsdelivr.net/npm/d3-dsv@3/+esm";
 import * as Plot from "https://cdn.jsdelivr.net/npm/@observablehq/plot@0.6/+esm";
+import {
+  BASELOAD_END_TIME,
+  BASELOAD_ROLLING_DAYS,
+  DATA_FILE_PATTERN,
+  DEFAULT_SERVICE,
+  FIFTEEN_MINUTES,
+  GRANULARITIES,
+  INTRADAY_GRANULARITIES,
+  ONE_HOUR,
+  TIME_ZONE,
+  addDays,
+  addMonths,
+  annotationSpan,
+  daysBetween,
+  emptyByGranularity,
+  filterByRange,
+  formatDateInZone,
+  formatTimeInZone,
+  getDateTimeFormat,
+  guessHeaderLine,
+  hoursInDay,
+  listAvailableDates,
+  netKWh,
+  quantileSorted,
+  resolveZonedDateTime,
+  selectedServices,
+  splitCsvLine,
+  tzOffset,
+  validateAnnotation,
+  validateRatePlan,
+  weekdayOf,
+  zonedDateTimeToDate
+} from "./usage.js";
+import {
+  deleteAnnotation,
+  deleteRatePlan,
+  loadAnnotations,
+  loadRatePlans,
+  saveAnnotation,
+  saveRatePlan
+} from "./storage.js";
 
-const TIME_ZONE = "America/Los_Angeles";
-const FIFTEEN_MINUTES = 15 * 60 * 1000;
-const ROLLING_WINDOW = 10;
+const ROLLING_WINDOWS = {
+  off: { label: "off", hours: 0 },
+  "6h": { label: "6 hours", hours: 6 },
+  "24h": { label: "24 hours", hours: 24 },
+  "7d": { label: "7 days", hours: 7 * 24 },
+  "30d": { label: "30 days", hours: 30 * 24 },
+  "90d": { label: "90 days", hours: 90 * 24 },
+  "365d": { label: "1 year", hours: 365 * 24 }
+};
 
-const dateFormatter = new Intl.DateTimeFormat("en-CA", {
-  timeZone: TIME_ZONE,
-  year: "numeric",
-  month: "2-digit",
-  day: "2-digit"
-});
+const ROLLING_STATISTICS = {
+  mean: "mean",
+  median: "median",
+  ewma: "exponentially weighted mean",
+  band: "median with 10th–90th percentile band"
+};
+
+// Nominal bucket lengths, for turning a rolling window into a bucket count.
+const BUCKET_HOURS = {
+  "15min": 0.25,
+  hourly: 1,
+  daily: 24,
+  weekly: 7 * 24,
+  monthly: 730,
+  billing: 730
+};
+
+const TREND_OVERLAYS = ["off", "trend", "weekly"];
+
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const DEFAULT_RATE_PLANS = [
+  {
+    name: "Flat rate (example)",
+    type: "flat",
+    rate: 0.1301
+  },
+  {
+    name: "Tiered (example)",
+    type: "tiered",
+    tiers: [
+      { upToKWh: 300, rate: 0.1108 },
+      { rate: 0.1381 }
+    ]
+  },
+  {
+    name: "Time of use (example)",
+    type: "tou",
+    defaultRate: 0.1186,
+    windows: [
+      {
+        label: "Summer peak",
+        rate: 0.2371,
+        days: "weekdays",
+        start: "17:00",
+        end: "21:00",
+        months: [6, 7, 8, 9]
+      },
+      {
+        label: "Peak",
+        rate: 0.1779,
+        days: "weekdays",
+        start: "17:00",
+        end: "21:00"
+      },
+      {
+        label: "Off-peak",
+        rate: 0.0593,
+        days: "all",
+        start: "00:00",
+        end: "06:00"
+      }
+    ]
+  }
+];
 
-const timeFormatter = new Intl.DateTimeFormat("en-GB", {
+const SEASONS = ["Winter", "Spring", "Summer", "Fall"];
+
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December"
+];
+
+const DAY_TYPE_COLORS = {
+  Weekday: "#0070f3",
+  Weekend: "#f97316"
+};
+
+const GAP_MODE_DESCRIPTIONS = {
+  zero: "filled with 0 kWh",
+  gap: "missing",
+  linear: "linearly interpolated",
+  profile: "filled from same-weekday profile"
+};
+
+const DEGREE_DAY_BASE_F = 65;
+
+// ESPI QualityOfReading codes for intervals that aren't plain readings.
+const ESPI_QUALITY = {
+  profile: 8,
+  linear: 9,
+  zero: 16,
+  mixed: 13
+};
+
+const SERIES = {
+  import: {
+    label: "Import",
+    stroke: "#0070f3",
+    rollingStroke: "#f97316",
+    mirrored: false,
+    value: (d) => d.importKWh
+  },
+  export: {
+    label: "Export",
+    stroke: "#16a34a",
+    rollingStroke: "#84cc16",
+    mirrored: true,
+    value: (d) => d.exportKWh
+  },
+  net: {
+    label: "Net",
+    stroke: "#9333ea",
+    rollingStroke: "#db2777",
+    mirrored: false,
+    value: (d) => netKWh(d)
+  }
+};
+
+const zoneNameFormatter = new Intl.DateTimeFormat("en-US", {
   timeZone: TIME_ZONE,
-  hour: "2-digit",
-  minute: "2-digit",
-  hour12: false
+  timeZoneName: "short"
 });
 
 const displayTimeFormatter = new Intl.DateTimeFormat("en-US", {
@@ -33,18 +200,59 @@ const displayDateFormatter = new Intl.DateTimeFormat("en-US", {
   day: "numeric"
 });
 
-const tzFormatters = new Map();
-
 const state = {
   granularity: "hourly",
+  view: "series",
+  profileGrouping: "none",
+  compare: {
+    mode: "off",
+    startDate: null,
+    endDate: null
+  },
+  weekStart: 0,
+  readDay: null,
+  gapMode: "zero",
+  rolling: {
+    window: "7d",
+    statistic: "mean"
+  },
+  rollingCache: null,
+  trendOverlay: "off",
+  series: {
+    import: true,
+    export: true,
+    net: false
+  },
   startDate: null,
   endDate: null,
-  byGranularity: {
-    "15min": [],
-    hourly: [],
-    daily: []
+  timeRange: null,
+  chart: null,
+  overview: null,
+  byGranularity: emptyByGranularity(),
+  services: [],
+  serviceView: "sum",
+  stacked: emptyByGranularity(),
+  billingPeriods: [],
+  weatherDays: [],
+  imports: [],
+  ratePlans: [],
+  ratePlanId: null,
+  comparePlanId: null,
+  budget: {
+    monthly: null,
+    unit: "kWh",
+    dailyKWh: null,
+    intervalKWh: null
   },
+  reconciliation: [],
+  anomalies: [],
+  baseload: [],
+  annotations: [],
+  noteAnnotations: [],
+  showFileNotes: true,
+  editingAnnotationId: null,
   availableDates: [],
+  rangeStops: [],
   rangeIndices: {
     start: 0,
     end: 0
@@ -54,11 +262,85 @@ const state = {
 const elements = {
   fileInput: document.getElementById("file-input"),
   clearButton: document.getElementById("clear-data"),
+  undoClearButton: document.getElementById("undo-clear"),
+  backupButton: document.getElementById("backup-data"),
+  restoreInput: document.getElementById("restore-input"),
+  restoreMode: document.getElementById("restore-mode"),
+  savedView: document.getElementById("saved-view"),
+  saveViewButton: document.getElementById("save-view"),
+  deleteViewButton: document.getElementById("delete-view"),
+  importReport: document.getElementById("import-report"),
+  importReportSummary: document.getElementById("import-report-summary"),
+  importReportList: document.getElementById("import-report-list"),
+  importHistory: document.getElementById("import-history"),
+  importHistorySummary: document.getElementById("import-history-summary"),
+  importTable: document.getElementById("import-table"),
+  columnMapping: document.getElementById("column-mapping"),
+  mappingFile: document.getElementById("mapping-file"),
+  mappingPreview: document.getElementById("mapping-preview"),
+  exportFormat: document.getElementById("export-format"),
+  exportButton: document.getElementById("export-data"),
   granularity: document.getElementById("granularity"),
+  viewMode: document.getElementById("view-mode"),
+  weekStartField: document.getElementById("week-start-field"),
+  weekStart: document.getElementById("week-start"),
+  readDayField: document.getElementById("read-day-field"),
+  readDay: document.getElementById("read-day"),
+  serviceView: document.getElementById("service-view"),
+  gapMode: document.getElementById("gap-mode"),
+  rollingWindow: document.getElementById("rolling-window"),
+  rollingStatistic: document.getElementById("rolling-statistic"),
+  trendOverlay: document.getElementById("trend-overlay"),
+  trendOverlayField: document.getElementById("trend-overlay-field"),
+  seriesInputs: Array.from(document.querySelectorAll("input[data-series]")),
+  compareMode: document.getElementById("compare-mode"),
+  compareStartField: document.getElementById("compare-start-field"),
+  compareStart: document.getElementById("compare-start"),
+  compareEndField: document.getElementById("compare-end-field"),
+  compareEnd: document.getElementById("compare-end"),
   start: document.getElementById("start-date"),
   end: document.getElementById("end-date"),
   plot: document.getElementById("plot"),
+  overview: document.getElementById("chart-overview"),
   status: document.getElementById("chart-status"),
+  taskProgress: document.getElementById("task-progress"),
+  taskProgressBar: document.getElementById("task-progress-bar"),
+  cancelTask: document.getElementById("cancel-task"),
+  ratePlan: document.getElementById("rate-plan"),
+  comparePlan: document.getElementById("compare-plan"),
+  ratePlanEditor: document.getElementById("rate-plan-editor"),
+  ratePlanMessage: document.getElementById("rate-plan-message"),
+  savePlanButton: document.getElementById("save-plan"),
+  duplicatePlanButton: document.getElementById("duplicate-plan"),
+  deletePlanButton: document.getElementById("delete-plan"),
+  budgetAmount: document.getElementById("budget-amount"),
+  budgetUnit: document.getElementById("budget-unit"),
+  dayThreshold: document.getElementById("day-threshold"),
+  intervalThreshold: document.getElementById("interval-threshold"),
+  budgetStatus: document.getElementById("budget-status"),
+  budgetProgress: document.getElementById("budget-progress"),
+  budgetSummary: document.getElementById("budget-summary"),
+  billingSummary: document.getElementById("billing-summary"),
+  billingTable: document.getElementById("billing-table"),
+  weatherPanel: document.getElementById("weather-panel"),
+  weatherSummary: document.getElementById("weather-summary"),
+  weatherPlot: document.getElementById("weather-plot"),
+  anomalyPanel: document.getElementById("anomaly-panel"),
+  anomalySummary: document.getElementById("anomaly-summary"),
+  baseloadPlot: document.getElementById("baseload-plot"),
+  anomalyList: document.getElementById("anomaly-list"),
+  annotationsPanel: document.getElementById("annotations-panel"),
+  annotationsSummary: document.getElementById("annotations-summary"),
+  annotationForm: document.getElementById("annotation-form"),
+  annotationMessage: document.getElementById("annotation-message"),
+  saveAnnotationButton: document.getElementById("save-annotation"),
+  cancelAnnotationButton: document.getElementById("cancel-annotation"),
+  showFileNotes: document.getElementById("show-file-notes"),
+  annotationTable: document.getElementById("annotation-table"),
+  loadProfile: document.getElementById("load-profile"),
+  profileGrouping: document.getElementById("profile-grouping"),
+  profileSummary: document.getElementById("profile-summary"),
+  profilePlot: document.getElementById("profile-plot"),
   sliderTrack: document.getElementById("range-track"),
   rangeStart: document.getElementById("range-start"),
   rangeEnd: document.getElementById("range-end"),
@@ -67,97 +349,63 @@ const elements = {
   rangeEndLabel: document.getElementById("range-end-label")
 };
 
-function getDateTimeFormat(timeZone) {
-  if (tzFormatters.has(timeZone)) return tzFormatters.get(timeZone);
-  const formatter = new Intl.DateTimeFormat("en-US", {
-    timeZone,
-    calendar: "iso8601",
-    numberingSystem: "latn",
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    hour12: false
-  });
-  tzFormatters.set(timeZone, formatter);
-  return formatter;
-}
-
-function tzOffset(date, timeZone) {
-  const dtf = getDateTimeFormat(timeZone);
-  const parts = dtf.formatToParts(date);
-  const values = {};
-  for (const part of parts) {
-    if (part.type !== "literal") {
-      values[part.type] = Number(part.value);
-    }
-  }
-  const zonedTime = Date.UTC(
-    values.year,
-    values.month - 1,
-    values.day,
-    values.hour,
-    values.minute,
-    values.second
-  );
-  return (zonedTime - date.getTime()) / 60000;
+function describeDayLength(hours) {
+  if (hours < 24) return `DST begins (${hours}-hour day)`;
+  if (hours > 24) return `DST ends (${hours}-hour day)`;
+  return "";
 }
 
-function zonedDateTimeToDate(dateStr, timeStr, timeZone = TIME_ZONE) {
-  const [year, month, day] = dateStr.split("-").map(Number);
-  const [hour, minute] = timeStr.split(":").map(Number);
-  const base = new Date(Date.UTC(year, month - 1, day, hour, minute, 0, 0));
-  const offset = tzOffset(base, timeZone);
-  return new Date(base.getTime() - offset * 60_000);
+function serviceLabel(service) {
+  return service === DEFAULT_SERVICE ? "Unknown service" : `Service ${service}`;
 }
 
-function stripBom(text) {
-  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
-}
+const COLUMN_MAPPING_STORAGE_KEY = "electricity-usage:column-mappings";
 
-function normalizeCsv(text) {
-  const clean = stripBom(text);
-  const lines = clean.split(/\r?\n/);
-  const headerIndex = lines.findIndex((line) =>
-    line.startsWith("TYPE,DATE,START TIME,END TIME,IMPORT (kWh)")
-  );
-  if (headerIndex === -1) {
-    throw new Error("Unable to locate CSV header row.");
+function loadColumnMappings() {
+  try {
+    return JSON.parse(localStorage.getItem(COLUMN_MAPPING_STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
   }
-  return lines.slice(headerIndex).join("\n");
 }
 
-function parseUsageRows(csvText, source) {
-  const rows = csvParse(csvText, (row) => {
-    const date = row["DATE"];
-    const startTime = row["START TIME"];
-    if (!date || !startTime) return null;
-    const importValue = Number.parseFloat(row["IMPORT (kWh)"]);
-    const timestamp = zonedDateTimeToDate(date, startTime);
-    return {
-      timestamp,
-      date,
-      startTime,
-      importKWh: Number.isFinite(importValue) ? importValue : 0,
-      source,
-      synthetic: false
-    };
-  });
-  return rows.filter(Boolean).sort((a, b) => a.timestamp - b.timestamp);
+function saveColumnMappings(mappings) {
+  localStorage.setItem(COLUMN_MAPPING_STORAGE_KEY, JSON.stringify(mappings));
 }
 
-function formatDateInZone(date) {
-  return dateFormatter.format(date);
+function saveColumnMapping(headerLine, mapping) {
+  const mappings = loadColumnMappings();
+  mappings[headerLine] = mapping;
+  saveColumnMappings(mappings);
 }
 
-function formatTimeInZone(date) {
-  return timeFormatter.format(date);
+function visibleSeries() {
+  return Object.keys(SERIES).filter((key) => state.series[key]);
 }
 
+function seriesY(key) {
+  const { mirrored, value } = SERIES[key];
+  return mirrored ? (d) => (value(d) === null ? null : -value(d)) : value;
+}
+
+function zoneAbbreviation(date) {
+  const part = zoneNameFormatter
+    .formatToParts(date)
+    .find((candidate) => candidate.type === "timeZoneName");
+  return part ? part.value : "";
+}
+
+// Times in the repeated fall-back hour get their zone abbreviation so the
+// two 1 AM hours can be told apart.
 function formatDisplayTime(date) {
-  return displayTimeFormatter.format(date);
+  const time = displayTimeFormatter.format(date);
+  const resolved = resolveZonedDateTime(
+    formatDateInZone(date),
+    formatTimeInZone(date)
+  );
+  return resolved.status === "ambiguous"
+    ? `${time} ${zoneAbbreviation(date)}`
+    : time;
 }
 
 function formatDisplayDate(dateStr) {
@@ -185,35 +433,242 @@ function toDisplayTimestamp(date, timeZone = TIME_ZONE) {
   ));
 }
 
-function listAvailableDates(records) {
-  const dates = [];
-  let previous = null;
-  for (const record of records) {
-    if (record.date !== previous) {
-      dates.push(record.date);
-      previous = record.date;
-    }
+function insertSorted(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  sorted.splice(low, 0, value);
+}
+
+function removeSorted(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  sorted.splice(low, 1);
+}
+
+function firstIndexFrom(records, time) {
+  let low = 0;
+  let high = records.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (records[mid].timestamp.getTime() < time) low = mid + 1;
+    else high = mid;
   }
-  return dates;
+  return low;
 }
 
-function computeRollingAverage(records, windowSize) {
-  if (!records.length || windowSize <= 1) return [];
-  const averages = [];
-  let windowSum = 0;
-  for (let i = 0; i < records.length; i += 1) {
-    windowSum += records[i].importKWh;
-    if (i >= windowSize) {
-      windowSum -= records[i - windowSize].importKWh;
+// The EWMA never quite forgets, so it reads this many windows of lead-in
+// (leaving e^-10 of the weight on where it started).
+const EWMA_LEAD_WINDOWS = 5;
+
+// The window is measured in time rather than buckets, so a stretch without
+// data shortens it instead of reaching further back. Half a bucket of slack
+// keeps 23- and 25-hour days from adding or dropping a bucket. Only buckets
+// from range.start through range.end (in ms) get an entry; the records behind
+// the first of them are read as lead-in.
+function computeRollingStatistic(records, granularity, { window, statistic }, range) {
+  const windowHours = ROLLING_WINDOWS[window]?.hours ?? 0;
+  const bucketHours = BUCKET_HOURS[granularity] ?? 1;
+  if (!records.length || windowHours < bucketHours * 2) return [];
+  const spanMs = (windowHours - bucketHours / 2) * ONE_HOUR;
+  const bucketMs = bucketHours * ONE_HOUR;
+  const firstFull = Math.max(
+    records[0].timestamp.getTime() + spanMs - bucketMs,
+    range.start
+  );
+  const leadMs = statistic === "ewma" ? spanMs * EWMA_LEAD_WINDOWS : spanMs;
+  const startIndex = firstIndexFrom(records, range.start - leadMs);
+  const endIndex = firstIndexFrom(records, range.end + 1);
+  const keys = Object.keys(SERIES);
+  const windows = Object.fromEntries(
+    keys.map((key) => [key, { sum: 0, count: 0, sorted: [], ewma: null }])
+  );
+  const sorts = statistic === "median" || statistic === "band";
+  const alpha = 2 / (windowHours / bucketHours + 1);
+  const entries = [];
+  let first = startIndex;
+  let previousTime = null;
+  for (let index = startIndex; index < endIndex; index += 1) {
+    const record = records[index];
+    const time = record.timestamp.getTime();
+    while (time - records[first].timestamp.getTime() >= spanMs) {
+      for (const key of keys) {
+        const value = SERIES[key].value(records[first]);
+        if (value === null) continue;
+        windows[key].sum -= value;
+        windows[key].count -= 1;
+        if (sorts) removeSorted(windows[key].sorted, value);
+      }
+      first += 1;
     }
-    if (i >= windowSize - 1) {
-      averages.push({
-        timestamp: records[i].timestamp,
-        avg: windowSum / windowSize
-      });
+    for (const key of keys) {
+      const value = SERIES[key].value(record);
+      if (value === null) continue;
+      const current = windows[key];
+      current.sum += value;
+      current.count += 1;
+      if (sorts) insertSorted(current.sorted, value);
+      // Gaps decay the average as if the missing buckets had been there.
+      current.ewma =
+        current.ewma === null
+          ? value
+          : value +
+            (current.ewma - value) *
+              (1 - alpha) ** ((time - previousTime) / bucketMs);
+    }
+    previousTime = time;
+    if (time < firstFull) continue;
+    const entry = { timestamp: record.timestamp, values: {}, low: null, high: null };
+    if (statistic === "band") {
+      entry.low = {};
+      entry.high = {};
+    }
+    for (const key of keys) {
+      const { sum, count, sorted, ewma } = windows[key];
+      if (statistic === "ewma") {
+        entry.values[key] = ewma;
+      } else if (sorts) {
+        entry.values[key] = quantileSorted(sorted, 0.5);
+      } else {
+        entry.values[key] = count ? sum / count : null;
+      }
+      if (statistic === "band") {
+        entry.low[key] = quantileSorted(sorted, 0.1);
+        entry.high[key] = quantileSorted(sorted, 0.9);
+      }
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+// Rolling values are computed for the shown records only and cached per
+// series and settings. Zooming or panning extends the cached stretch on
+// either side instead of starting over; a jump elsewhere replaces it.
+function rollingStatistics(series, granularity, records) {
+  if (!records.length) return [];
+  const { window, statistic } = state.rolling;
+  const start = records[0].timestamp.getTime();
+  const end = records.at(-1).timestamp.getTime();
+  let cache = state.rollingCache;
+  if (
+    !cache ||
+    cache.series !== series ||
+    cache.granularity !== granularity ||
+    cache.window !== window ||
+    cache.statistic !== statistic ||
+    start > cache.end ||
+    end < cache.start
+  ) {
+    cache = {
+      series,
+      granularity,
+      window,
+      statistic,
+      start,
+      end,
+      entries: computeRollingStatistic(series, granularity, state.rolling, { start, end })
+    };
+    state.rollingCache = cache;
+    return cache.entries;
+  }
+  if (start < cache.start) {
+    cache.entries = computeRollingStatistic(series, granularity, state.rolling, {
+      start,
+      end: cache.start - 1
+    }).concat(cache.entries);
+    cache.start = start;
+  }
+  if (end > cache.end) {
+    cache.entries = cache.entries.concat(
+      computeRollingStatistic(series, granularity, state.rolling, {
+        start: cache.end + 1,
+        end
+      })
+    );
+    cache.end = end;
+  }
+  return cache.entries;
+}
+
+function withinRecords(entries, records) {
+  if (!entries.length || !records.length) return [];
+  const first = records[0].timestamp.getTime();
+  const last = records.at(-1).timestamp.getTime();
+  return entries.filter((entry) => {
+    const time = entry.timestamp.getTime();
+    return time >= first && time <= last;
+  });
+}
+
+function rollingY(key, field = "values") {
+  const { mirrored } = SERIES[key];
+  return (d) => {
+    const value = d[field]?.[key] ?? null;
+    return mirrored && value !== null ? -value : value;
+  };
+}
+
+// Classical additive decomposition with a weekly period: the trend is a
+// centered 7-day moving average, the weekly pattern is the average detrended
+// value for each weekday (shifted to sum to zero), and the residual is what's
+// left. Days without a full week of neighbours get no trend.
+function decomposeDaily(records, key) {
+  const { value } = SERIES[key];
+  const trend = records.map((record, index) => {
+    const before = records[index - 3];
+    const after = records[index + 3];
+    if (!before || !after) return null;
+    if (before.date !== addDays(record.date, -3)) return null;
+    if (after.date !== addDays(record.date, 3)) return null;
+    let sum = 0;
+    for (let i = index - 3; i <= index + 3; i += 1) {
+      const reading = value(records[i]);
+      if (reading === null) return null;
+      sum += reading;
     }
+    return sum / 7;
+  });
+  const sums = new Array(7).fill(0);
+  const counts = new Array(7).fill(0);
+  records.forEach((record, index) => {
+    const reading = value(record);
+    if (trend[index] === null || reading === null) return;
+    const weekday = weekdayOf(record.date);
+    sums[weekday] += reading - trend[index];
+    counts[weekday] += 1;
+  });
+  const complete = counts.every((count) => count > 0);
+  let effects = null;
+  if (complete) {
+    const raw = sums.map((sum, weekday) => sum / counts[weekday]);
+    const mean = raw.reduce((total, effect) => total + effect, 0) / 7;
+    effects = raw.map((effect) => effect - mean);
   }
-  return averages;
+  const entries = records.map((record, index) => {
+    const seasonal = effects ? effects[weekdayOf(record.date)] : null;
+    const reading = value(record);
+    const fitted =
+      trend[index] === null || seasonal === null ? null : trend[index] + seasonal;
+    return {
+      timestamp: record.timestamp,
+      date: record.date,
+      trend: trend[index],
+      seasonal,
+      fitted,
+      residual: fitted === null || reading === null ? null : reading - fitted
+    };
+  });
+  return { key, entries, effects };
 }
 
 function rollingUnitLabel(granularity) {
@@ -224,107 +679,310 @@ function rollingUnitLabel(granularity) {
       return "hours";
     case "daily":
       return "days";
+    case "weekly":
+      return "weeks";
+    case "monthly":
+      return "months";
+    case "billing":
+      return "billing cycles";
     default:
       return "intervals";
   }
 }
 
-function describeRollingWindow(granularity, windowSize) {
-  if (granularity === "15min") {
-    const hours = (windowSize * 15) / 60;
-    const approxHours =
-      hours % 1 === 0 ? `${hours.toFixed(0)} h` : `${hours.toFixed(1)} h`;
-    return `${windowSize} × 15-min intervals (${approxHours})`;
-  }
+function singularUnit(unit) {
+  return unit.replace(/s$/, "");
+}
+
+function describeRollingWindow(granularity, { window, statistic }) {
+  const { label, hours } = ROLLING_WINDOWS[window];
+  if (!hours) return null;
+  const bucketHours = BUCKET_HOURS[granularity] ?? 1;
   const unit = rollingUnitLabel(granularity);
-  return `${windowSize} ${unit}`;
-}
-
-function fillMissingIntervals(records) {
-  if (records.length === 0) return [];
-  const result = [];
-  for (let i = 0; i < records.length; i += 1) {
-    const current = records[i];
-    result.push(current);
-    const next = records[i + 1];
-    if (!next) continue;
-    let expected = new Date(current.timestamp.getTime() + FIFTEEN_MINUTES);
-    while (expected < next.timestamp) {
-      result.push({
-        timestamp: expected,
-        date: formatDateInZone(expected),
-        startTime: formatTimeInZone(expected),
-        importKWh: 0,
-        source: "synthetic-gap-fill",
-        synthetic: true
-      });
-      expected = new Date(expected.getTime() + FIFTEEN_MINUTES);
+  if (hours < bucketHours * 2) {
+    return `Rolling window of ${label} is shorter than two ${unit}`;
+  }
+  const buckets = `${Math.round(hours / bucketHours)} ${unit}`;
+  const description = `Rolling ${ROLLING_STATISTICS[statistic]} over ${label}`;
+  return buckets === label ? description : `${description} (${buckets})`;
+}
+
+function completeness(record) {
+  if (record.expectedCount === undefined) return record.synthetic ? 0 : 1;
+  return record.expectedCount ? record.realCount / record.expectedCount : 1;
+}
+
+function summarizeCompleteness(records) {
+  let realCount = 0;
+  let expectedCount = 0;
+  for (const record of records) {
+    if (record.expectedCount === undefined) {
+      realCount += record.synthetic ? 0 : 1;
+      expectedCount += record.repeatedHour ? 0 : 1;
+    } else {
+      realCount += record.realCount;
+      expectedCount += record.expectedCount;
     }
   }
-  return result;
+  return {
+    realCount,
+    expectedCount,
+    ratio: expectedCount ? realCount / expectedCount : 0
+  };
 }
 
-function aggregate(records, granularity) {
-  if (granularity === "15min") {
-    return records.slice();
+function syntheticSpans(records) {
+  const spans = [];
+  let current = null;
+  for (const record of records) {
+    if (!record.synthetic) {
+      current = null;
+      continue;
+    }
+    const end = new Date(record.timestamp.getTime() + FIFTEEN_MINUTES);
+    if (current) {
+      current.end = end;
+    } else {
+      current = { start: record.timestamp, end };
+      spans.push(current);
+    }
   }
+  return spans;
+}
 
-  const buckets = new Map();
+function findRatePlan(id) {
+  return state.ratePlans.find((plan) => plan.id === id) ?? null;
+}
 
-  for (const record of records) {
-    if (granularity === "hourly") {
-      const hour = record.startTime.slice(0, 2);
-      const key = `${record.date}T${hour}`;
-      if (!buckets.has(key)) {
-        buckets.set(key, {
-          timestamp: zonedDateTimeToDate(record.date, `${hour}:00`),
-          date: record.date,
-          startTime: `${hour}:00`,
-          importKWh: 0,
-          sampleCount: 0
-        });
-      }
-      const bucket = buckets.get(key);
-      bucket.importKWh += record.importKWh;
-      bucket.sampleCount += 1;
-    } else if (granularity === "daily") {
-      const key = record.date;
-      if (!buckets.has(key)) {
-        buckets.set(key, {
-          timestamp: zonedDateTimeToDate(record.date, "00:00"),
-          date: record.date,
-          startTime: "00:00",
-          importKWh: 0,
-          sampleCount: 0
-        });
-      }
-      const bucket = buckets.get(key);
-      bucket.importKWh += record.importKWh;
-      bucket.sampleCount += 1;
+function formatKWh(value) {
+  return value === null ? "no data" : `${value.toFixed(3)} kWh`;
+}
+
+function formatSignedKWh(value) {
+  if (value === null) return "no data";
+  return `${value >= 0 ? "+" : "−"}${Math.abs(value).toFixed(3)} kWh`;
+}
+
+function formatUSD(value) {
+  const sign = value < 0 ? "-" : "";
+  return `${sign}$${Math.abs(value).toFixed(2)}`;
+}
+
+function compareRange() {
+  const { mode } = state.compare;
+  if (mode === "off" || !state.startDate || !state.endDate) return null;
+  if (mode === "year") {
+    // The end follows from the start so a range across Feb 29 is compared
+    // with the same number of days.
+    const startDate = addMonths(state.startDate, -12);
+    return {
+      startDate,
+      endDate: addDays(startDate, daysBetween(state.startDate, state.endDate))
+    };
+  }
+  if (mode === "custom" && state.compare.startDate && state.compare.endDate) {
+    return {
+      startDate: state.compare.startDate,
+      endDate: state.compare.endDate
+    };
+  }
+  const length = daysBetween(state.startDate, state.endDate) + 1;
+  return {
+    startDate: addDays(state.startDate, -length),
+    endDate: addDays(state.startDate, -1)
+  };
+}
+
+// Compare records are shifted by whole days so they line up with the primary
+// range at the same wall-clock time.
+function buildComparison(series) {
+  const range = compareRange();
+  if (!range) return null;
+  const offsetDays = daysBetween(range.startDate, state.startDate);
+  let records = filterByRange(series, range.startDate, range.endDate);
+  const view = currentViewRange();
+  if (state.timeRange && view) {
+    const offset = offsetDays * 86_400_000;
+    records = records.filter((d) => {
+      const time = d.timestamp.getTime() + offset;
+      return time >= view.start.getTime() && time < view.end.getTime();
+    });
+  }
+  return { ...range, offsetDays, records };
+}
+
+function alignedX(d, offsetDays) {
+  return new Date(toDisplayTimestamp(d.timestamp).getTime() + offsetDays * 86_400_000);
+}
+
+function degreeDays(tempF) {
+  return {
+    hdd: Math.max(0, DEGREE_DAY_BASE_F - tempF),
+    cdd: Math.max(0, tempF - DEGREE_DAY_BASE_F)
+  };
+}
+
+function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const rows = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-9) return null;
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k <= n; k++) rows[row][k] -= factor * rows[col][k];
+    }
+  }
+  return rows.map((row, i) => row[n] / row[i]);
+}
+
+// Least-squares fit of kWh = a + b·HDD + c·CDD over complete days. A degree
+// day term with no non-zero days (e.g. no cooling in a winter-only dataset)
+// is left out rather than making the system singular.
+function fitDegreeDayModel(days) {
+  const terms = ["hdd", "cdd"].filter((term) => days.some((day) => day[term] > 0));
+  const features = (day) => [1, ...terms.map((term) => day[term])];
+  if (days.length < terms.length + 3) return null;
+  const size = terms.length + 1;
+  const xtx = Array.from({ length: size }, () => new Array(size).fill(0));
+  const xty = new Array(size).fill(0);
+  for (const day of days) {
+    const x = features(day);
+    for (let i = 0; i < size; i++) {
+      xty[i] += x[i] * day.kWh;
+      for (let j = 0; j < size; j++) xtx[i][j] += x[i] * x[j];
     }
   }
+  const coefficients = solveLinearSystem(xtx, xty);
+  if (!coefficients) return null;
+  const model = {
+    intercept: coefficients[0],
+    hdd: terms.includes("hdd") ? coefficients[1 + terms.indexOf("hdd")] : 0,
+    cdd: terms.includes("cdd") ? coefficients[1 + terms.indexOf("cdd")] : 0,
+    count: days.length
+  };
+  const predict = (day) => model.intercept + model.hdd * day.hdd + model.cdd * day.cdd;
+  const mean = days.reduce((sum, day) => sum + day.kWh, 0) / days.length;
+  let residual = 0;
+  let total = 0;
+  for (const day of days) {
+    residual += (day.kWh - predict(day)) ** 2;
+    total += (day.kWh - mean) ** 2;
+  }
+  model.rSquared = total ? 1 - residual / total : 0;
+  model.predict = predict;
+  return model;
+}
 
-  return Array.from(buckets.values()).sort(
-    (a, b) => a.timestamp - b.timestamp
+// Normal degree days are the per-month averages over all imported weather,
+// so normalized usage answers "what would this day have used in a typical
+// month of that kind".
+function monthlyNormals(weatherDays) {
+  const sums = new Map();
+  for (const day of weatherDays) {
+    const month = day.date.slice(5, 7);
+    const { hdd, cdd } = degreeDays(day.tempF);
+    const entry = sums.get(month) ?? { hdd: 0, cdd: 0, count: 0 };
+    entry.hdd += hdd;
+    entry.cdd += cdd;
+    entry.count += 1;
+    sums.set(month, entry);
+  }
+  return new Map(
+    Array.from(sums, ([month, { hdd, cdd, count }]) => [
+      month,
+      { hdd: hdd / count, cdd: cdd / count }
+    ])
   );
 }
 
-function filterByRange(records, startStr, endStr) {
-  if (!records.length) return records;
-  if (!startStr && !endStr) return records;
-  const startDate = startStr
-    ? zonedDateTimeToDate(startStr, "00:00")
-    : null;
-  const endDateExclusive = endStr
-    ? new Date(zonedDateTimeToDate(endStr, "00:00").getTime() + 86_400_000)
-    : null;
+function weatherNormalize(dailyRecords, weatherDays, value) {
+  const weatherByDate = new Map(weatherDays.map((day) => [day.date, day]));
+  const days = [];
+  for (const record of dailyRecords) {
+    const weather = weatherByDate.get(record.date);
+    const kWh = value(record);
+    if (!weather || kWh === null || kWh === undefined) continue;
+    if (record.realCount < record.expectedCount) continue;
+    days.push({ date: record.date, kWh, tempF: weather.tempF, ...degreeDays(weather.tempF) });
+  }
+  const model = fitDegreeDayModel(days);
+  if (!model) return { model: null, days };
+  const normals = monthlyNormals(weatherDays);
+  for (const day of days) {
+    const normal = normals.get(day.date.slice(5, 7));
+    day.predicted = model.predict(day);
+    day.residual = day.kWh - day.predicted;
+    day.normalized =
+      day.kWh - model.hdd * (day.hdd - normal.hdd) - model.cdd * (day.cdd - normal.cdd);
+  }
+  return { model, days };
+}
+
+function describeAnomaly(event) {
+  const when =
+    event.level === "day"
+      ? `${event.date} (whole day)`
+      : `${event.date} ${formatDisplayTime(event.start)} – ${
+          event.endDate === event.date ? "" : `${event.endDate} `
+        }${formatDisplayTime(event.end)}`;
+  const change = `${event.deltaKWh > 0 ? "+" : ""}${formatKWh(event.deltaKWh)}`;
+  return `${when}: ${event.direction === "high" ? "unusually high" : "unusually low"} import, ${change} vs typical ${formatKWh(
+    event.expectedKWh
+  )} (z ${event.z.toFixed(1)})`;
+}
+
+function seasonOf(dateStr) {
+  const month = Number(dateStr.slice(5, 7));
+  return SEASONS[Math.floor((month % 12) / 3)];
+}
+
+function profileGroupOf(dateStr, grouping) {
+  if (grouping === "season") return seasonOf(dateStr);
+  if (grouping === "month") return MONTH_NAMES[Number(dateStr.slice(5, 7)) - 1];
+  return "All days";
+}
 
-  return records.filter((record) => {
-    const t = record.timestamp.getTime();
-    if (startDate && t < startDate.getTime()) return false;
-    if (endDateExclusive && t >= endDateExclusive.getTime()) return false;
-    return true;
+// Folds 15-minute readings into an average day: one row per group, day type
+// and quarter-hour slot. Synthetic records are skipped so gap filling doesn't
+// drag the percentiles toward the fill value.
+function loadProfile(records, value, grouping) {
+  const slots = new Map();
+  const days = new Set();
+  for (const record of records) {
+    const reading = value(record);
+    if (record.synthetic || reading === null || reading === undefined) continue;
+    const [hours, minutes] = record.startTime.split(":").map(Number);
+    const weekday = weekdayOf(record.date);
+    const dayType = weekday === 0 || weekday === 6 ? "Weekend" : "Weekday";
+    const group = profileGroupOf(record.date, grouping);
+    const key = `${group}|${dayType}|${hours * 60 + minutes}`;
+    if (!slots.has(key)) {
+      slots.set(key, { group, dayType, minutes: hours * 60 + minutes, values: [] });
+    }
+    slots.get(key).values.push(reading);
+    days.add(record.date);
+  }
+  const rows = Array.from(slots.values(), ({ values, ...slot }) => {
+    const sorted = values.sort((a, b) => a - b);
+    return {
+      ...slot,
+      count: sorted.length,
+      mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+      median: quantileSorted(sorted, 0.5),
+      p10: quantileSorted(sorted, 0.1),
+      p25: quantileSorted(sorted, 0.25),
+      p75: quantileSorted(sorted, 0.75),
+      p90: quantileSorted(sorted, 0.9)
+    };
   });
+  rows.sort((a, b) => a.minutes - b.minutes);
+  return { rows, dayCount: days.size };
 }
 
 function updateSliderBackgrounds() {
@@ -350,18 +1008,38 @@ function updateSliderBackgrounds() {
   sliderTrack.style.setProperty("--range-end", endFraction);
 }
 
+// Slider stops are days for intraday granularities and whole buckets for the
+// coarser ones, clipped to the loaded dates.
+function updateRangeStops() {
+  const dates = state.availableDates;
+  if (!dates.length) {
+    state.rangeStops = [];
+    return;
+  }
+  if (INTRADAY_GRANULARITIES.includes(state.granularity) || state.granularity === "daily") {
+    state.rangeStops = dates.map((date) => ({ startDate: date, endDate: date }));
+    return;
+  }
+  const first = dates[0];
+  const last = dates.at(-1);
+  state.rangeStops = state.byGranularity[state.granularity].map((bucket) => ({
+    startDate: bucket.date < first ? first : bucket.date,
+    endDate: bucket.endDate > last ? last : bucket.endDate
+  }));
+}
+
 function updateSliderLabels() {
   const { rangeStartLabel, rangeEndLabel, rangeLengthLabel } = elements;
   if (!rangeStartLabel || !rangeEndLabel || !rangeLengthLabel) return;
-  const dates = state.availableDates;
-  if (!dates.length) {
+  const stops = state.rangeStops;
+  if (!stops.length) {
     rangeStartLabel.textContent = "No data";
     rangeEndLabel.textContent = "";
     rangeLengthLabel.textContent = "";
     return;
   }
-  const startDate = dates[state.rangeIndices.start] ?? dates[0];
-  const endDate = dates[state.rangeIndices.end] ?? dates.at(-1);
+  const startDate = (stops[state.rangeIndices.start] ?? stops[0]).startDate;
+  const endDate = (stops[state.rangeIndices.end] ?? stops.at(-1)).endDate;
   rangeStartLabel.textContent = formatDisplayDate(startDate);
   rangeEndLabel.textContent = formatDisplayDate(endDate);
   if (startDate && endDate) {
@@ -370,21 +1048,40 @@ function updateSliderLabels() {
     const differenceDays = Math.abs(
       Math.round((end.getTime() - start.getTime()) / 86_400_000)
     ) + 1;
-    rangeLengthLabel.textContent =
-      differenceDays > 1 ? `${differenceDays} days` : "1 day";
+    const dayLabel = differenceDays > 1 ? `${differenceDays} days` : "1 day";
+    const bucketCount = state.rangeIndices.end - state.rangeIndices.start + 1;
+    rangeLengthLabel.textContent = state.timeRange
+      ? describeTimeRange(state.timeRange)
+      : stops.length === state.availableDates.length
+        ? dayLabel
+        : `${bucketCount} ${
+            bucketCount === 1
+              ? singularUnit(rollingUnitLabel(state.granularity))
+              : rollingUnitLabel(state.granularity)
+          } (${dayLabel})`;
   } else {
     rangeLengthLabel.textContent = "";
   }
 }
 
+function describeTimeRange({ start, end }) {
+  const minutes = Math.round((end.getTime() - start.getTime()) / 60_000);
+  const hours = Math.floor(minutes / 60);
+  const length = [hours ? `${hours} h` : "", minutes % 60 ? `${minutes % 60} min` : ""]
+    .filter(Boolean)
+    .join(" ");
+  return `${length} (${formatDisplayTime(start)} – ${formatDisplayTime(end)})`;
+}
+
 function syncSliderToState() {
-  if (!state.availableDates.length) return;
-  const maxIndex = state.availableDates.length - 1;
+  const stops = state.rangeStops;
+  if (!stops.length) return;
+  const maxIndex = stops.length - 1;
   let startIndex = state.startDate
-    ? state.availableDates.indexOf(state.startDate)
+    ? stops.findIndex((stop) => stop.endDate >= state.startDate)
     : 0;
   let endIndex = state.endDate
-    ? state.availableDates.indexOf(state.endDate)
+    ? stops.findLastIndex((stop) => stop.startDate <= state.endDate)
     : maxIndex;
   if (startIndex === -1) startIndex = 0;
   if (endIndex === -1) endIndex = maxIndex;
@@ -401,15 +1098,15 @@ function syncSliderToState() {
 function initializeRangeSlider() {
   const { rangeStart, rangeEnd } = elements;
   if (!rangeStart || !rangeEnd) return;
-  const dates = state.availableDates;
-  if (!dates.length) {
+  const stops = state.rangeStops;
+  if (!stops.length) {
     rangeStart.disabled = true;
     rangeEnd.disabled = true;
     updateSliderLabels();
     updateSliderBackgrounds();
     return;
   }
-  const maxIndex = dates.length - 1;
+  const maxIndex = stops.length - 1;
   rangeStart.disabled = false;
   rangeEnd.disabled = false;
   rangeStart.min = "0";
@@ -421,7 +1118,7 @@ function initializeRangeSlider() {
 }
 
 function onSliderChange(event) {
-  if (!state.availableDates.length) return;
+  if (!state.rangeStops.length) return;
   let startIndex = Number(elements.rangeStart.value);
   let endIndex = Number(elements.rangeEnd.value);
   if (startIndex > endIndex) {
@@ -433,13 +1130,14 @@ function onSliderChange(event) {
       elements.rangeEnd.value = String(endIndex);
     }
   }
-  const maxIndex = state.availableDates.length - 1;
+  const maxIndex = state.rangeStops.length - 1;
   startIndex = Math.max(0, Math.min(startIndex, maxIndex));
   endIndex = Math.max(startIndex, Math.min(endIndex, maxIndex));
   state.rangeIndices.start = startIndex;
   state.rangeIndices.end = endIndex;
-  state.startDate = state.availableDates[startIndex];
-  state.endDate = state.availableDates[endIndex];
+  state.timeRange = null;
+  state.startDate = state.rangeStops[startIndex].startDate;
+  state.endDate = state.rangeStops[endIndex].endDate;
   elements.start.value = state.startDate;
   elements.end.value = state.endDate;
   updateSliderLabels();
@@ -447,140 +1145,2028 @@ function onSliderChange(event) {
   updateChart();
 }
 
-function buildTooltip(d, granularity, avgMap, windowSize) {
-  const dateLabel = formatDateInZone(d.timestamp);
-  const timeLabel =
-    granularity === "daily" ? "" : ` ${formatDisplayTime(d.timestamp)}`;
-  const kwh = d.importKWh.toFixed(3);
-  let avgLine = "";
-  if (avgMap && avgMap.has(d.timestamp.getTime())) {
-    const avgValue = avgMap.get(d.timestamp.getTime());
-    const unitLabel = rollingUnitLabel(granularity);
-    avgLine = `\nRolling avg (${windowSize} ${unitLabel}): ${avgValue.toFixed(
-      3
-    )} kWh`;
+// Zooming and panning work in instants. At intraday granularities a range
+// that doesn't start and end at midnight is kept in state.timeRange (end
+// exclusive), with the dates around it in state.startDate/endDate for the
+// inputs and slider; otherwise it's snapped out to whole days or buckets.
+function currentViewRange() {
+  if (state.timeRange && INTRADAY_GRANULARITIES.includes(state.granularity)) {
+    return { ...state.timeRange };
   }
-  return `${dateLabel}${timeLabel}\nImport: ${kwh} kWh${avgLine}`;
+  if (!state.startDate || !state.endDate) return null;
+  return {
+    start: zonedDateTimeToDate(state.startDate, "00:00"),
+    end: zonedDateTimeToDate(addDays(state.endDate, 1), "00:00")
+  };
 }
 
-function renderPlot(records, rolling, granularity, windowSize) {
-  if (!records.length) {
-    elements.plot.replaceChildren();
-    return;
+function filterToView(records, granularity = state.granularity) {
+  const filtered = filterByRange(records, state.startDate, state.endDate);
+  if (!state.timeRange || !INTRADAY_GRANULARITIES.includes(granularity)) {
+    return filtered;
   }
-
-  const width = Math.max(elements.plot.clientWidth, 640);
-  const avgMap = new Map(
-    rolling.map((entry) => [entry.timestamp.getTime(), entry.avg])
-  );
-
-  const plot = Plot.plot({
-    marginTop: 32,
-    marginBottom: 48,
-    width,
-    color: { scheme: "turbo", legend: false },
-    y: {
-      label: "Usage (kWh)",
-      grid: true
-    },
-    x: {
-      label: "Date",
-      type: "utc"
-    },
-    marks: [
-      Plot.ruleY([0]),
-      Plot.lineY(records, {
-        x: (d) => toDisplayTimestamp(d.timestamp),
-        y: "importKWh",
-        stroke: "#0070f3",
-        strokeWidth: 1.5
-      }),
-      Plot.areaY(records, {
-        x: (d) => toDisplayTimestamp(d.timestamp),
-        y: "importKWh",
-        fill: "#0070f3",
-        fillOpacity: 0.15
-      })
-    ]
-      .concat(
-        rolling.length
-          ? [
-              Plot.lineY(rolling, {
-                x: (d) => toDisplayTimestamp(d.timestamp),
-                y: "avg",
-                stroke: "#f97316",
-                strokeWidth: 1.5,
-                strokeDasharray: "6,4",
-                strokeOpacity: 0.9
-              })
-            ]
-          : []
-      )
-      .concat([
-      Plot.tip(
-        records,
-        Plot.pointerX({
-          x: (d) => toDisplayTimestamp(d.timestamp),
-          y: "importKWh",
-          title: (d) => buildTooltip(d, granularity, avgMap, windowSize),
-          anchor: "bottom"
-        })
-      )
-    ])
+  const start = state.timeRange.start.getTime();
+  const end = state.timeRange.end.getTime();
+  return filtered.filter((record) => {
+    const time = record.timestamp.getTime();
+    return time >= start && time < end;
   });
-
-  elements.plot.replaceChildren(plot);
 }
 
-function updateStatus(filtered, granularity, rolling, windowSize) {
-  if (!filtered.length) {
-    elements.status.textContent =
-      "No data in the selected range. Try expanding the dates.";
-    return;
+function setViewRange(start, end) {
+  const dates = state.availableDates;
+  if (!dates.length) return;
+  const first = zonedDateTimeToDate(dates[0], "00:00").getTime();
+  const last = zonedDateTimeToDate(addDays(dates.at(-1), 1), "00:00").getTime();
+  const bucketMs = (BUCKET_HOURS[state.granularity] ?? 1) * ONE_HOUR;
+  const minimum = Math.max(4 * bucketMs, ONE_HOUR);
+  let startTime = start.getTime();
+  let endTime = end.getTime();
+  if (endTime - startTime < minimum) {
+    const middle = (startTime + endTime) / 2;
+    startTime = middle - minimum / 2;
+    endTime = middle + minimum / 2;
   }
-  const start = filtered[0].timestamp;
-  const end = filtered.at(-1).timestamp;
-  const startLabel =
-    granularity === "daily"
-      ? formatDateInZone(start)
-      : `${formatDateInZone(start)} ${formatDisplayTime(start)}`;
-  const endLabel =
-    granularity === "daily"
-      ? formatDateInZone(end)
-      : `${formatDateInZone(end)} ${formatDisplayTime(end)}`;
-  const totalKWh = filtered
-    .reduce((sum, d) => sum + d.importKWh, 0)
-    .toFixed(2);
-  const unit = granularity === "15min" ? "points" : granularity;
+  const span = Math.min(endTime - startTime, last - first);
+  if (startTime < first) startTime = first;
+  if (startTime + span > last) startTime = last - span;
+  endTime = startTime + span;
 
-  const summaryParts = [
-    `Showing ${filtered.length} ${unit} from ${startLabel} through ${endLabel}`,
-    `Total import ${totalKWh} kWh`
-  ];
-  if (rolling?.length) {
-    summaryParts.push(
-      `Rolling avg window ${describeRollingWindow(granularity, windowSize)}`
+  state.timeRange = null;
+  if (INTRADAY_GRANULARITIES.includes(state.granularity)) {
+    const step = state.granularity === "15min" ? FIFTEEN_MINUTES : ONE_HOUR;
+    const snappedStart = new Date(Math.round(startTime / step) * step);
+    const snappedEnd = new Date(
+      snappedStart.getTime() + Math.max(1, Math.round(span / step)) * step
     );
+    state.startDate = formatDateInZone(snappedStart);
+    state.endDate = formatDateInZone(new Date(snappedEnd.getTime() - 1));
+    const dayStart = zonedDateTimeToDate(state.startDate, "00:00");
+    const dayEnd = zonedDateTimeToDate(addDays(state.endDate, 1), "00:00");
+    if (
+      snappedStart.getTime() !== dayStart.getTime() ||
+      snappedEnd.getTime() !== dayEnd.getTime()
+    ) {
+      state.timeRange = { start: snappedStart, end: snappedEnd };
+    }
+  } else {
+    // Each end moves to the nearest bucket boundary, so panning keeps the
+    // number of buckets shown.
+    const startDate = formatDateInZone(new Date(startTime + bucketMs / 2));
+    const endDate = formatDateInZone(new Date(endTime - bucketMs / 2));
+    const stops = state.rangeStops;
+    state.startDate =
+      stops.find((stop) => stop.endDate >= startDate)?.startDate ?? dates[0];
+    state.endDate =
+      stops.findLast((stop) => stop.startDate <= endDate)?.endDate ?? dates.at(-1);
   }
-  elements.status.textContent = summaryParts.join(" · ");
+  elements.start.value = state.startDate;
+  elements.end.value = state.endDate;
+  syncSliderToState();
+  updateChart();
 }
 
-function updateChart() {
-  const series = state.byGranularity[state.granularity] ?? [];
-  const filtered = filterByRange(
-    series,
-    state.startDate,
-    state.endDate
-  );
-  const rolling = computeRollingAverage(filtered, ROLLING_WINDOW);
-  renderPlot(filtered, rolling, state.granularity, ROLLING_WINDOW);
-  updateStatus(filtered, state.granularity, rolling, ROLLING_WINDOW);
-  updateSliderBackgrounds();
+function resetZoom() {
+  state.timeRange = null;
+  resetRange();
+  elements.start.value = state.startDate ?? "";
+  elements.end.value = state.endDate ?? "";
+  syncSliderToState();
+  updateChart();
 }
 
-function onGranularityChange(event) {
-  state.granularity = event.target.value;
-  updateChart();
+// The chart's x scale holds display timestamps (wall time stored as UTC).
+function fromDisplayTimestamp(display) {
+  const iso = display.toISOString();
+  return zonedDateTimeToDate(iso.slice(0, 10), iso.slice(11, 16));
+}
+
+function surfaceFor(plot) {
+  const svg =
+    plot.tagName.toLowerCase() === "svg"
+      ? plot
+      : [...plot.children].filter((child) => child.tagName.toLowerCase() === "svg").at(-1);
+  return { svg, x: plot.scale("x"), y: plot.scale("y") };
+}
+
+function surfaceX(surface, event) {
+  const box = surface.svg.getBoundingClientRect();
+  const width = Number(surface.svg.getAttribute("width"));
+  const ratio = box.width && width ? width / box.width : 1;
+  return (event.clientX - box.left) * ratio;
+}
+
+function surfaceInstant(surface, px) {
+  const [left, right] = surface.x.range;
+  const clamped = Math.max(left, Math.min(right, px));
+  return fromDisplayTimestamp(surface.x.invert(clamped)).getTime();
+}
+
+function surfaceRange(surface) {
+  const [left, right] = surface.x.range;
+  return { left, right, width: right - left };
+}
+
+// Draws the brush as a rect on the surface's svg; removed when the drag ends.
+function drawBrush(surface, x1, x2) {
+  let brush = surface.svg.querySelector(".zoom-brush");
+  if (!brush) {
+    brush = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+    brush.setAttribute("class", "zoom-brush");
+    const [bottom, top] = surface.y ? surface.y.range : [Number(surface.svg.getAttribute("height")), 0];
+    brush.setAttribute("y", String(Math.min(top, bottom)));
+    brush.setAttribute("height", String(Math.abs(bottom - top)));
+    surface.svg.append(brush);
+  }
+  const { left, right } = surfaceRange(surface);
+  const from = Math.max(left, Math.min(x1, x2));
+  const to = Math.min(right, Math.max(x1, x2));
+  brush.setAttribute("x", String(from));
+  brush.setAttribute("width", String(Math.max(0, to - from)));
+}
+
+// Pointer gestures shared by the chart and the overview. A drag either
+// brushes a new range or pans the current one; two touch points pinch.
+// Previews only move the drawn svg, and the range is applied on release.
+function attachZoomGestures(
+  container,
+  { surface, panWhen, panSign, onPreview, onClick = null }
+) {
+  const pointers = new Map();
+  let gesture = null;
+
+  const onPointerDown = (event) => {
+    const current = surface();
+    const range = currentViewRange();
+    if (!current || !range || (event.pointerType === "mouse" && event.button !== 0)) return;
+    const px = surfaceX(current, event);
+    const { left, right } = surfaceRange(current);
+    if (px < left || px > right) return;
+    pointers.set(event.pointerId, px);
+    container.setPointerCapture?.(event.pointerId);
+    if (pointers.size === 2) {
+      const [a, b] = [...pointers.values()];
+      gesture = {
+        mode: "pinch",
+        surface: current,
+        range,
+        distance: Math.abs(a - b) || 1,
+        anchor: surfaceInstant(current, (a + b) / 2),
+        factor: 1
+      };
+      return;
+    }
+    gesture = {
+      mode: panWhen(event, current, px, range) ? "pan" : "brush",
+      surface: current,
+      range,
+      origin: px,
+      last: px
+    };
+  };
+
+  const onPointerMove = (event) => {
+    if (!gesture || !pointers.has(event.pointerId)) return;
+    const px = surfaceX(gesture.surface, event);
+    pointers.set(event.pointerId, px);
+    if (gesture.mode === "pinch") {
+      if (pointers.size < 2) return;
+      const [a, b] = [...pointers.values()];
+      gesture.factor = gesture.distance / (Math.abs(a - b) || 1);
+      onPreview(gesture);
+      return;
+    }
+    gesture.last = px;
+    if (gesture.mode === "brush") {
+      drawBrush(gesture.surface, gesture.origin, px);
+    } else {
+      onPreview(gesture);
+    }
+  };
+
+  const onPointerUp = (event) => {
+    if (!pointers.delete(event.pointerId) || !gesture) return;
+    const finished = gesture;
+    if (finished.mode === "pinch" && pointers.size) return;
+    gesture = null;
+    pointers.clear();
+    const { surface: current, range } = finished;
+    current.svg.querySelector(".zoom-brush")?.remove();
+    if (finished.mode === "pinch") {
+      const { anchor, factor } = finished;
+      setViewRange(
+        new Date(anchor - (anchor - range.start.getTime()) * factor),
+        new Date(anchor + (range.end.getTime() - anchor) * factor)
+      );
+      return;
+    }
+    if (Math.abs(finished.last - finished.origin) < 3) {
+      onPreview(null);
+      onClick?.(surfaceInstant(current, finished.origin), range);
+      return;
+    }
+    if (finished.mode === "brush") {
+      const from = surfaceInstant(current, Math.min(finished.origin, finished.last));
+      const to = surfaceInstant(current, Math.max(finished.origin, finished.last));
+      setViewRange(new Date(from), new Date(to));
+      return;
+    }
+    const shift =
+      panSign *
+      (surfaceInstant(current, finished.last) - surfaceInstant(current, finished.origin));
+    setViewRange(
+      new Date(range.start.getTime() + shift),
+      new Date(range.end.getTime() + shift)
+    );
+  };
+
+  container.addEventListener("pointerdown", onPointerDown);
+  container.addEventListener("pointermove", onPointerMove);
+  container.addEventListener("pointerup", onPointerUp);
+  container.addEventListener("pointercancel", onPointerUp);
+  container.addEventListener("dblclick", resetZoom);
+}
+
+// Wheel events are collected and applied once per frame. The unsnapped
+// target is kept between frames so slow trackpad scrolling still gets past
+// bucket snapping at coarse granularities.
+let wheelTarget = null;
+let wheelFrame = null;
+
+function onChartWheel(event) {
+  const surface = state.chart;
+  const range = currentViewRange();
+  if (!surface || !range) return;
+  const px = surfaceX(surface, event);
+  const { left, right, width } = surfaceRange(surface);
+  if (px < left || px > right) return;
+  event.preventDefault();
+  const target =
+    wheelTarget && (wheelFrame !== null || wheelTarget.key === viewRangeKey())
+      ? wheelTarget
+      : range;
+  let start = target.start.getTime();
+  let end = target.end.getTime();
+  const horizontal = event.shiftKey || Math.abs(event.deltaX) > Math.abs(event.deltaY);
+  if (horizontal) {
+    const delta = event.shiftKey && !event.deltaX ? event.deltaY : event.deltaX;
+    const shift = (delta / width) * (end - start);
+    start += shift;
+    end += shift;
+  } else {
+    const anchor = surfaceInstant(surface, px);
+    const factor = Math.exp(event.deltaY * (event.ctrlKey ? 0.01 : 0.002));
+    start = anchor - (anchor - start) * factor;
+    end = anchor + (end - anchor) * factor;
+  }
+  wheelTarget = { start: new Date(start), end: new Date(end), key: null };
+  if (wheelFrame !== null) return;
+  wheelFrame = requestAnimationFrame(() => {
+    wheelFrame = null;
+    setViewRange(wheelTarget.start, wheelTarget.end);
+    wheelTarget.key = viewRangeKey();
+  });
+}
+
+function viewRangeKey() {
+  const range = currentViewRange();
+  return range ? `${range.start.getTime()}-${range.end.getTime()}` : "";
+}
+
+function previewChartGesture(gesture) {
+  const plot = elements.plot.firstElementChild;
+  if (!plot) return;
+  if (!gesture) {
+    plot.style.transform = "";
+    return;
+  }
+  if (gesture.mode === "pinch") {
+    const { left, right } = surfaceRange(gesture.surface);
+    plot.style.transformOrigin = `${(left + right) / 2}px 50%`;
+    plot.style.transform = `scaleX(${1 / gesture.factor})`;
+    return;
+  }
+  plot.style.transform = `translateX(${gesture.last - gesture.origin}px)`;
+}
+
+function previewOverviewGesture(gesture) {
+  const windowRect = elements.overview.querySelector(".overview-window rect");
+  if (!windowRect || !gesture || gesture.mode !== "pan") return;
+  const x = Number(windowRect.dataset.x ?? windowRect.getAttribute("x"));
+  windowRect.dataset.x = String(x);
+  windowRect.setAttribute("x", String(x + gesture.last - gesture.origin));
+}
+
+function setupZoom() {
+  attachZoomGestures(elements.plot, {
+    surface: () => state.chart,
+    panWhen: (event) => event.shiftKey,
+    panSign: -1,
+    onPreview: previewChartGesture
+  });
+  elements.plot.addEventListener("wheel", onChartWheel, { passive: false });
+  if (elements.overview) {
+    attachZoomGestures(elements.overview, {
+      surface: () => state.overview,
+      panWhen: (event, surface, px, range) => {
+        const instant = surfaceInstant(surface, px);
+        return instant >= range.start.getTime() && instant <= range.end.getTime();
+      },
+      panSign: 1,
+      onPreview: previewOverviewGesture,
+      onClick: (instant, range) => {
+        const half = (range.end.getTime() - range.start.getTime()) / 2;
+        setViewRange(new Date(instant - half), new Date(instant + half));
+      }
+    });
+  }
+}
+
+// Daily totals of the first visible series over all loaded dates, with the
+// current range highlighted.
+function renderOverview() {
+  const { overview } = elements;
+  if (!overview) return;
+  const records = state.byGranularity.daily ?? [];
+  const range = currentViewRange();
+  if (records.length < 2 || !range) {
+    overview.replaceChildren();
+    state.overview = null;
+    return;
+  }
+  const key = visibleSeries()[0] ?? "import";
+  const x = (d) => toDisplayTimestamp(d.timestamp);
+  const domainStart = toDisplayTimestamp(records[0].timestamp);
+  const domainEnd = toDisplayTimestamp(
+    zonedDateTimeToDate(addDays(records.at(-1).date, 1), "00:00")
+  );
+  const windowStart = toDisplayTimestamp(range.start);
+  const windowEnd = toDisplayTimestamp(range.end);
+  const plot = Plot.plot({
+    height: 70,
+    width: Math.max(elements.plot.clientWidth, 640),
+    marginTop: 4,
+    marginBottom: 20,
+    x: { type: "utc", domain: [domainStart, domainEnd], label: null },
+    y: { axis: null },
+    marks: [
+      Plot.areaY(records, {
+        x,
+        y: seriesY(key),
+        fill: SERIES[key].stroke,
+        fillOpacity: 0.4
+      }),
+      Plot.rect(
+        [
+          { x1: domainStart, x2: windowStart },
+          { x1: windowEnd, x2: domainEnd }
+        ],
+        { x1: "x1", x2: "x2", fill: "currentColor", fillOpacity: 0.12 }
+      ),
+      Plot.rect([{ x1: windowStart, x2: windowEnd }], {
+        x1: "x1",
+        x2: "x2",
+        stroke: SERIES[key].stroke,
+        strokeWidth: 1.5,
+        fill: "none",
+        className: "overview-window"
+      })
+    ]
+  });
+  overview.replaceChildren(plot);
+  state.overview = surfaceFor(plot);
+}
+
+function buildTooltip(
+  d,
+  {
+    granularity,
+    rollingMap,
+    seriesKeys,
+    breakdown,
+    compareMap,
+    trendMap,
+    annotations
+  }
+) {
+  const dateLabel = formatDateInZone(d.timestamp);
+  let heading = `${dateLabel} ${formatDisplayTime(d.timestamp)}`;
+  if (!INTRADAY_GRANULARITIES.includes(granularity)) {
+    heading = d.endDate && d.endDate !== d.date ? `${d.date} – ${d.endDate}` : dateLabel;
+  }
+  const lines = [heading];
+  if (!d.endDate || d.endDate === d.date) {
+    const dayLengthLabel = describeDayLength(d.hoursInDay ?? hoursInDay(d.date));
+    if (dayLengthLabel) lines.push(dayLengthLabel);
+  }
+  const keys = seriesKeys.length ? seriesKeys : ["import"];
+  for (const key of keys) {
+    lines.push(`${SERIES[key].label}: ${formatKWh(SERIES[key].value(d))}`);
+  }
+  for (const part of breakdown?.get(d.timestamp.getTime()) ?? []) {
+    const values = keys.map((key) => formatKWh(SERIES[key].value(part)));
+    lines.push(`  ${serviceLabel(part.service)}: ${values.join(" / ")}`);
+  }
+  const compared = compareMap?.get(toDisplayTimestamp(d.timestamp).getTime());
+  if (compared) {
+    const values = keys.map((key) => formatKWh(SERIES[key].value(compared)));
+    const timeLabel = INTRADAY_GRANULARITIES.includes(granularity)
+      ? ` ${formatDisplayTime(compared.timestamp)}`
+      : "";
+    lines.push(`Compared with ${compared.date}${timeLabel}: ${values.join(" / ")}`);
+  }
+  if (d.expectedCount === 0) {
+    lines.push("No readings expected: SCL doesn't report the repeated 1 AM hour");
+  } else if (d.expectedCount !== undefined) {
+    lines.push(
+      `Completeness: ${(completeness(d) * 100).toFixed(0)}% (${d.realCount} of ${
+        d.expectedCount
+      } intervals)`
+    );
+  } else if (d.synthetic) {
+    lines.push(`No reading: ${GAP_MODE_DESCRIPTIONS[d.fillMethod]}`);
+  }
+  if (d.costUSD !== null && d.costUSD !== undefined) {
+    const costParts = [`Est. cost: ${formatUSD(d.costUSD)}`];
+    const comparePlan = findRatePlan(state.comparePlanId);
+    if (comparePlan && d.compareCostUSD !== null) {
+      costParts.push(`${comparePlan.name}: ${formatUSD(d.compareCostUSD)}`);
+    }
+    lines.push(costParts.join(" · "));
+  }
+  if (rollingMap && rollingMap.has(d.timestamp.getTime())) {
+    const entry = rollingMap.get(d.timestamp.getTime());
+    const { statistic, window } = state.rolling;
+    const name = statistic === "band" ? "median" : ROLLING_STATISTICS[statistic];
+    for (const key of keys) {
+      let line = `Rolling ${name} ${SERIES[key].label.toLowerCase()} (${
+        ROLLING_WINDOWS[window].label
+      }): ${formatKWh(entry.values[key])}`;
+      if (entry.low && entry.low[key] !== null) {
+        line += ` (10th–90th: ${entry.low[key].toFixed(3)} – ${entry.high[key].toFixed(3)})`;
+      }
+      lines.push(line);
+    }
+  }
+  const trend = trendMap?.get(d.timestamp.getTime());
+  if (trend && trend.trend !== null) {
+    const parts = [`Trend: ${formatKWh(trend.trend)}`];
+    if (trend.seasonal !== null) {
+      parts.push(
+        `${WEEKDAY_NAMES[weekdayOf(trend.date)]} effect: ${formatSignedKWh(trend.seasonal)}`,
+        `Residual: ${formatSignedKWh(trend.residual)}`
+      );
+    }
+    lines.push(parts.join(" · "));
+  }
+  const threshold =
+    granularity === "daily"
+      ? state.budget.dailyKWh
+      : granularity === "15min"
+        ? state.budget.intervalKWh
+        : null;
+  if (threshold && netKWh(d) > threshold) {
+    lines.push(`Over the ${formatKWh(threshold)} threshold by ${formatKWh(netKWh(d) - threshold)}`);
+  }
+  const end = bucketEnd(d, granularity);
+  for (const item of overlappingAnnotations(annotations ?? [], d.timestamp, end)) {
+    lines.push(
+      `${item.source ? "File note" : "Annotation"}: ${item.label}${
+        item.note ? ` (${item.note})` : ""
+      }`
+    );
+  }
+  return lines.join("\n");
+}
+
+function billingBands(records) {
+  if (!records.length || !state.reconciliation.length) return [];
+  const first = toDisplayTimestamp(records[0].timestamp);
+  const last = toDisplayTimestamp(records.at(-1).timestamp);
+  const services = selectedServices(state.services, state.serviceView);
+  const bands = [];
+  state.reconciliation.forEach((period, index) => {
+    if (!services.includes(period.service)) return;
+    const x1 = toDisplayTimestamp(
+      zonedDateTimeToDate(period.startDate, "00:00")
+    );
+    const x2 = toDisplayTimestamp(
+      zonedDateTimeToDate(addDays(period.endDate, 1), "00:00")
+    );
+    if (x2 <= first || x1 > last) return;
+    bands.push({
+      ...period,
+      x1: x1 < first ? first : x1,
+      x2: x2 > last ? last : x2,
+      shade: index % 2 === 0
+    });
+  });
+  return bands;
+}
+
+function syntheticBands(records) {
+  if (!records.length) return [];
+  const first = records[0].timestamp;
+  const last = records.at(-1).timestamp;
+  const intervals = filterByRange(
+    state.byGranularity["15min"],
+    formatDateInZone(first),
+    formatDateInZone(last)
+  );
+  return syntheticSpans(intervals).map((span) => ({
+    x1: toDisplayTimestamp(span.start),
+    x2: toDisplayTimestamp(span.end)
+  }));
+}
+
+// Hour-level events only mean something on intraday charts; day-level ones
+// are shown at any granularity.
+function anomalyBands(records) {
+  if (!records.length || !state.anomalies.length) return [];
+  const first = records[0].timestamp.getTime();
+  const last = (records.at(-1).endDate
+    ? zonedDateTimeToDate(addDays(records.at(-1).endDate, 1), "00:00")
+    : records.at(-1).timestamp
+  ).getTime();
+  const intraday = INTRADAY_GRANULARITIES.includes(state.granularity);
+  return state.anomalies
+    .filter((event) => intraday || event.level === "day")
+    .filter((event) => event.end.getTime() > first && event.start.getTime() <= last)
+    .map((event) => ({
+      direction: event.direction,
+      x1: toDisplayTimestamp(event.start),
+      x2: toDisplayTimestamp(event.end)
+    }));
+}
+
+// Days over the daily threshold are shown up to daily granularity, and
+// 15-minute intervals over the interval threshold on intraday charts.
+function thresholdBands(records) {
+  const { dailyKWh, intervalKWh } = state.budget;
+  if (!records.length || (!dailyKWh && !intervalKWh)) return [];
+  const first = records[0].timestamp.getTime();
+  const last = bucketEnd(records.at(-1), state.granularity).getTime();
+  const startDate = formatDateInZone(records[0].timestamp);
+  const endDate = formatDateInZone(new Date(last - 1));
+  const intraday = INTRADAY_GRANULARITIES.includes(state.granularity);
+  const bands = [];
+  if (dailyKWh && (intraday || state.granularity === "daily")) {
+    for (const day of filterByRange(state.byGranularity.daily, startDate, endDate)) {
+      if (netKWh(day) <= dailyKWh) continue;
+      bands.push({ level: "day", start: day.timestamp, end: bucketEnd(day, "daily") });
+    }
+  }
+  if (intervalKWh && intraday) {
+    for (const interval of filterByRange(state.byGranularity["15min"], startDate, endDate)) {
+      const time = interval.timestamp.getTime();
+      if (time < first || time >= last || netKWh(interval) <= intervalKWh) continue;
+      bands.push({
+        level: "interval",
+        start: interval.timestamp,
+        end: new Date(time + FIFTEEN_MINUTES)
+      });
+    }
+  }
+  return bands.map((band) => ({
+    ...band,
+    x1: toDisplayTimestamp(band.start),
+    x2: toDisplayTimestamp(band.end)
+  }));
+}
+
+// User annotations plus, unless hidden, the notes read from imported files,
+// each with its span as instants. Markers have no end.
+function visibleAnnotations() {
+  const entries = state.annotations.map((annotation) => ({
+    ...annotationSpan(annotation),
+    label: annotation.label,
+    note: annotation.note,
+    source: null
+  }));
+  if (!state.showFileNotes) return entries;
+  return entries.concat(
+    state.noteAnnotations.map((span) => ({
+      start: span.start,
+      end: span.end,
+      label: span.label,
+      note: "",
+      source: span.source
+    }))
+  );
+}
+
+// A marker belongs to the bucket it falls in; a range to every bucket it
+// overlaps.
+function overlappingAnnotations(annotations, start, end) {
+  return annotations.filter(
+    (item) =>
+      item.start.getTime() < end.getTime() &&
+      (item.end ?? new Date(item.start.getTime() + 1)).getTime() > start.getTime()
+  );
+}
+
+function annotationMarks(annotations, records) {
+  if (!annotations.length) return [];
+  const first = toDisplayTimestamp(records[0].timestamp);
+  const last = toDisplayTimestamp(records.at(-1).timestamp);
+  const clamp = (date) => {
+    const x = toDisplayTimestamp(date);
+    return x < first ? first : x > last ? last : x;
+  };
+  const items = annotations.map((item) => ({
+    ...item,
+    x1: clamp(item.start),
+    x2: item.end ? clamp(item.end) : null
+  }));
+  const color = (d) => (d.source ? "#78716c" : "#0891b2");
+  return [
+    Plot.rect(
+      items.filter((d) => d.x2),
+      { x1: "x1", x2: "x2", fill: color, fillOpacity: 0.1 }
+    ),
+    Plot.ruleX(
+      items.filter((d) => !d.x2),
+      { x: "x1", stroke: color, strokeWidth: 1.5 }
+    ),
+    Plot.text(items, {
+      x: "x1",
+      text: "label",
+      frameAnchor: "top",
+      lineAnchor: "top",
+      textAnchor: "start",
+      dx: 4,
+      dy: 14,
+      fill: color,
+      fontSize: 10
+    })
+  ];
+}
+
+// Largest-triangle-three-buckets: keeps the first and last points and, from
+// each bucket in between, the point that forms the largest triangle with the
+// previous pick and the next bucket's average.
+function lttb(points, y, count) {
+  if (points.length <= count) return points;
+  const x = (d) => d.timestamp.getTime();
+  const sampled = [points[0]];
+  const every = (points.length - 2) / (count - 2);
+  let previous = points[0];
+  for (let i = 0; i < count - 2; i += 1) {
+    const nextStart = Math.floor((i + 1) * every) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * every) + 1, points.length);
+    let averageX = 0;
+    let averageY = 0;
+    for (let j = nextStart; j < nextEnd; j += 1) {
+      averageX += x(points[j]);
+      averageY += y(points[j]);
+    }
+    averageX /= nextEnd - nextStart;
+    averageY /= nextEnd - nextStart;
+    let best = null;
+    let bestArea = -1;
+    for (let j = Math.floor(i * every) + 1; j < nextStart; j += 1) {
+      const area = Math.abs(
+        (x(previous) - averageX) * (y(points[j]) - y(previous)) -
+          (x(previous) - x(points[j])) * (averageY - y(previous))
+      );
+      if (area > bestArea) {
+        bestArea = area;
+        best = points[j];
+      }
+    }
+    sampled.push(best);
+    previous = best;
+  }
+  sampled.push(points.at(-1));
+  return sampled;
+}
+
+// MinMaxLTTB: the min and max of many small bins are kept first, so short
+// peaks survive, and LTTB then picks among those candidates.
+function minMaxLttb(points, y, count, ratio = 4) {
+  if (points.length <= count) return points;
+  if (count < 3) return [points[0], points.at(-1)];
+  const inner = points.length - 2;
+  const bins = Math.min(inner, Math.floor((count * ratio) / 2));
+  const candidates = [points[0]];
+  for (let bin = 0; bin < bins; bin += 1) {
+    const from = 1 + Math.floor((bin * inner) / bins);
+    const to = 1 + Math.floor(((bin + 1) * inner) / bins);
+    let min = from;
+    let max = from;
+    for (let i = from + 1; i < to; i += 1) {
+      if (y(points[i]) < y(points[min])) min = i;
+      if (y(points[i]) > y(points[max])) max = i;
+    }
+    if (min !== max) {
+      candidates.push(points[Math.min(min, max)], points[Math.max(min, max)]);
+    } else {
+      candidates.push(points[min]);
+    }
+  }
+  candidates.push(points.at(-1));
+  return lttb(candidates, y, count);
+}
+
+// Reduces records to about `target` points for drawing. Runs between gaps
+// are downsampled separately and one empty record is kept for each gap, so
+// lines still break where readings are missing.
+function downsample(records, y, target) {
+  if (records.length <= target * 2) return records;
+  const sampled = [];
+  let runStart = null;
+  const flush = (runEnd) => {
+    const run = records.slice(runStart, runEnd);
+    const share = Math.max(2, Math.round((target * run.length) / records.length));
+    for (const record of minMaxLttb(run, y, share)) sampled.push(record);
+  };
+  records.forEach((record, index) => {
+    if (y(record) !== null) {
+      if (runStart === null) runStart = index;
+      return;
+    }
+    if (runStart !== null) {
+      flush(index);
+      runStart = null;
+      sampled.push(record);
+    }
+  });
+  if (runStart !== null) flush(records.length);
+  return sampled;
+}
+
+// One tooltip anchor per pixel column: the record nearest the column's
+// middle, with the range of the readings drawn in that column.
+function pixelBins(records, y, count) {
+  const first = records[0].timestamp.getTime();
+  const span = records.at(-1).timestamp.getTime() - first || 1;
+  const bins = [];
+  for (const record of records) {
+    const time = record.timestamp.getTime();
+    const index = Math.min(count - 1, Math.floor(((time - first) / span) * count));
+    const center = first + ((index + 0.5) * span) / count;
+    let bin = bins[index];
+    if (!bin) {
+      bin = { record, count: 0, min: null, max: null };
+      bins[index] = bin;
+    }
+    bin.count += 1;
+    const value = y(record);
+    if (value !== null) {
+      if (bin.min === null || value < bin.min) bin.min = value;
+      if (bin.max === null || value > bin.max) bin.max = value;
+    }
+    if (Math.abs(time - center) < Math.abs(bin.record.timestamp.getTime() - center)) {
+      bin.record = record;
+    }
+  }
+  return bins.filter(Boolean);
+}
+
+function renderPlot(
+  records,
+  rolling,
+  granularity,
+  stacked = [],
+  comparison = null,
+  decomposition = null
+) {
+  if (!records.length) {
+    elements.plot.replaceChildren();
+    state.chart = null;
+    return null;
+  }
+
+  const width = Math.max(elements.plot.clientWidth, 640);
+  // Aim for about one drawn point per pixel; the full records are still used
+  // for tooltips.
+  const target = Math.round(width);
+  const rollingMap = new Map(
+    rolling.map((entry) => [entry.timestamp.getTime(), entry])
+  );
+  const seriesKeys = visibleSeries();
+  const primaryKey = seriesKeys[0] ?? "import";
+  const primaryY = seriesY(primaryKey);
+  const x = (d) => toDisplayTimestamp(d.timestamp);
+  // The repeated fall-back hour shares wall-clock x positions with the first
+  // one, so it is drawn as dots instead of folding the line back on itself.
+  const foldRecords = records.filter((d) => d.fold);
+  const lineRecords = foldRecords.length
+    ? records.filter((d) => !d.fold)
+    : records;
+  const stackedLineRecords = stacked.filter((d) => !d.fold);
+  const downsampled = lineRecords.length > target * 2;
+  const drawnRecords = Object.fromEntries(
+    seriesKeys.map((key) => [key, downsample(lineRecords, SERIES[key].value, target)])
+  );
+  // Stacked parts keep the timestamps picked for the total so the layers
+  // still line up.
+  const drawnStacked = (key) => {
+    if (!downsampled) return stackedLineRecords;
+    const times = new Set(drawnRecords[key].map((d) => d.timestamp.getTime()));
+    return stackedLineRecords.filter((d) => times.has(d.timestamp.getTime()));
+  };
+  const breakdown = stacked.length ? new Map() : null;
+  for (const part of stacked) {
+    const key = part.timestamp.getTime();
+    if (!breakdown.has(key)) breakdown.set(key, []);
+    breakdown.get(key).push(part);
+  }
+
+  const seriesMarks = seriesKeys.flatMap((key) => {
+    const { stroke } = SERIES[key];
+    const y = seriesY(key);
+    const marks = [
+      Plot.lineY(drawnRecords[key], {
+        x,
+        y,
+        stroke,
+        strokeWidth: 1.5
+      }),
+      Plot.dot(foldRecords, {
+        x,
+        y,
+        stroke,
+        r: 2.5
+      })
+    ];
+    if (key !== "net" && stacked.length) {
+      marks.push(
+        Plot.areaY(drawnStacked(key), {
+          x,
+          y,
+          fill: (d) => serviceLabel(d.service),
+          fillOpacity: 0.35
+        })
+      );
+    } else if (key !== "net") {
+      marks.push(
+        Plot.areaY(drawnRecords[key], {
+          x,
+          y,
+          fill: stroke,
+          fillOpacity: 0.15
+        })
+      );
+    }
+    return marks;
+  });
+
+  const bands = billingBands(records);
+  const billingMarks = bands.length
+    ? [
+        Plot.rect(bands, {
+          x1: "x1",
+          x2: "x2",
+          fill: (d) => (d.flagged ? "#dc2626" : "#64748b"),
+          fillOpacity: (d) => (d.flagged ? 0.12 : d.shade ? 0.08 : 0.03)
+        }),
+        Plot.text(
+          bands.filter((d) => d.flagged),
+          {
+            x: (d) => new Date((d.x1.getTime() + d.x2.getTime()) / 2),
+            text: () => "⚠ billed ≠ intervals",
+            frameAnchor: "top",
+            dy: -12,
+            fill: "#dc2626",
+            fontSize: 10
+          }
+        )
+      ]
+    : [];
+
+  const gaps = syntheticBands(records);
+  const gapMarks = gaps.length
+    ? [
+        Plot.rect(gaps, {
+          x1: "x1",
+          x2: "x2",
+          fill: "#f59e0b",
+          fillOpacity: 0.2
+        })
+      ]
+    : [];
+
+  const anomalies = anomalyBands(records);
+  const anomalyMarks = anomalies.length
+    ? [
+        Plot.rect(anomalies, {
+          x1: "x1",
+          x2: "x2",
+          fill: "#c026d3",
+          fillOpacity: 0.15
+        }),
+        Plot.text(anomalies, {
+          x: (d) => new Date((d.x1.getTime() + d.x2.getTime()) / 2),
+          text: (d) => (d.direction === "high" ? "▲" : "▼"),
+          frameAnchor: "top",
+          dy: 2,
+          fill: "#c026d3",
+          fontSize: 10
+        })
+      ]
+    : [];
+
+  const overThreshold = thresholdBands(records);
+  const thresholdLine =
+    granularity === "daily"
+      ? state.budget.dailyKWh
+      : granularity === "15min"
+        ? state.budget.intervalKWh
+        : null;
+  const thresholdMarks = overThreshold.length
+    ? [
+        Plot.rect(overThreshold, {
+          x1: "x1",
+          x2: "x2",
+          fill: "#e11d48",
+          fillOpacity: (d) => (d.level === "day" ? 0.08 : 0.25)
+        })
+      ]
+    : [];
+  if (thresholdLine) {
+    thresholdMarks.push(
+      Plot.ruleY([thresholdLine], {
+        stroke: "#e11d48",
+        strokeDasharray: "4,4",
+        strokeOpacity: 0.8
+      })
+    );
+  }
+
+  const transitions = listAvailableDates(records).filter(
+    (date) => hoursInDay(date) !== 24
+  );
+  const dayStart = (date) =>
+    toDisplayTimestamp(zonedDateTimeToDate(date, "00:00"));
+  const transitionMarks = transitions.length
+    ? [
+        Plot.ruleX(transitions, {
+          x: dayStart,
+          stroke: "#888",
+          strokeDasharray: "2,3"
+        }),
+        Plot.text(transitions, {
+          x: dayStart,
+          text: (date) => describeDayLength(hoursInDay(date)),
+          frameAnchor: "top",
+          lineAnchor: "top",
+          textAnchor: "start",
+          dx: 4,
+          fill: "#888",
+          fontSize: 10
+        })
+      ]
+    : [];
+
+  const annotations = overlappingAnnotations(
+    visibleAnnotations(),
+    records[0].timestamp,
+    bucketEnd(records.at(-1), granularity)
+  );
+  const noteMarks = annotationMarks(annotations, records);
+
+  const compareRecords = comparison?.records.filter((d) => !d.fold) ?? [];
+  const compareMap = compareRecords.length
+    ? new Map(
+        compareRecords.map((d) => [alignedX(d, comparison.offsetDays).getTime(), d])
+      )
+    : null;
+  const compareMarks = compareRecords.length
+    ? seriesKeys.map((key) =>
+        Plot.lineY(downsample(compareRecords, SERIES[key].value, target), {
+          x: (d) => alignedX(d, comparison.offsetDays),
+          y: seriesY(key),
+          stroke: "#64748b",
+          strokeWidth: 1.25,
+          strokeOpacity: 0.85
+        })
+      )
+    : [];
+
+  const rollingMarks = rolling.length
+    ? seriesKeys.flatMap((key) => {
+        const drawn = downsample(rolling, rollingY(key), target);
+        const marks = [
+          Plot.lineY(drawn, {
+            x,
+            y: rollingY(key),
+            stroke: SERIES[key].rollingStroke,
+            strokeWidth: 1.5,
+            strokeDasharray: "6,4",
+            strokeOpacity: 0.9
+          })
+        ];
+        if (state.rolling.statistic === "band") {
+          marks.unshift(
+            Plot.areaY(drawn, {
+              x,
+              y1: rollingY(key, "low"),
+              y2: rollingY(key, "high"),
+              fill: SERIES[key].rollingStroke,
+              fillOpacity: 0.15
+            })
+          );
+        }
+        return marks;
+      })
+    : [];
+
+  const trendMap = decomposition
+    ? new Map(
+        decomposition.entries.map((entry) => [entry.timestamp.getTime(), entry])
+      )
+    : null;
+  const trendSign = decomposition && SERIES[decomposition.key].mirrored ? -1 : 1;
+  const trendValue = (field) => (d) =>
+    d[field] === null ? null : trendSign * d[field];
+  const trendMarks = decomposition
+    ? [
+        Plot.lineY(decomposition.entries, {
+          x,
+          y: trendValue("trend"),
+          stroke: "#0f766e",
+          strokeWidth: 2
+        })
+      ]
+    : [];
+  if (decomposition && state.trendOverlay === "weekly") {
+    trendMarks.push(
+      Plot.lineY(decomposition.entries, {
+        x,
+        y: trendValue("fitted"),
+        stroke: "#0f766e",
+        strokeWidth: 1.25,
+        strokeDasharray: "2,3"
+      })
+    );
+  }
+
+  const tooltipOptions = {
+    granularity,
+    rollingMap,
+    seriesKeys,
+    breakdown,
+    compareMap,
+    trendMap,
+    annotations
+  };
+
+  const plot = Plot.plot({
+    marginTop: 32,
+    marginBottom: 48,
+    width,
+    color: { scheme: "turbo", legend: stacked.length > 0 },
+    y: {
+      label: "Usage (kWh)",
+      grid: true
+    },
+    x: {
+      label: "Date",
+      type: "utc"
+    },
+    marks: billingMarks
+      .concat(gapMarks)
+      .concat(anomalyMarks)
+      .concat(thresholdMarks)
+      .concat(transitionMarks)
+      .concat(noteMarks)
+      .concat([Plot.ruleY([0])])
+      .concat(compareMarks)
+      .concat(seriesMarks)
+      .concat(rollingMarks)
+      .concat(trendMarks)
+      .concat([
+      downsampled
+        ? Plot.tip(
+            pixelBins(records, SERIES[primaryKey].value, target),
+            Plot.pointerX({
+              x: (d) => x(d.record),
+              y: (d) => primaryY(d.record),
+              title: (d) => describePixel(d, primaryKey, tooltipOptions),
+              anchor: "bottom"
+            })
+          )
+        : Plot.tip(
+            records,
+            Plot.pointerX({
+              x,
+              y: primaryY,
+              title: (d) => buildTooltip(d, tooltipOptions),
+              anchor: "bottom"
+            })
+          )
+    ])
+  });
+
+  elements.plot.replaceChildren(plot);
+  state.chart = surfaceFor(plot);
+  return downsampled && seriesKeys.length
+    ? { drawn: drawnRecords[primaryKey].length, total: lineRecords.length }
+    : null;
+}
+
+function describePixel(bin, key, tooltipOptions) {
+  const tooltip = buildTooltip(bin.record, tooltipOptions);
+  if (bin.count < 2 || bin.min === null) return tooltip;
+  return `${tooltip}\n${bin.count} readings at this pixel: ${SERIES[
+    key
+  ].label.toLowerCase()} ${bin.min.toFixed(3)} – ${bin.max.toFixed(3)} kWh`;
+}
+
+function formatHourOfDay(hour) {
+  return `${hour % 12 || 12} ${hour < 12 ? "AM" : "PM"}`;
+}
+
+function formatMinuteOfDay(minutes) {
+  const hour = Math.floor(minutes / 60);
+  return `${hour % 12 || 12}:${String(minutes % 60).padStart(2, "0")} ${
+    hour < 12 ? "AM" : "PM"
+  }`;
+}
+
+// One cell per date and hour of day. On fall-back days the repeated 1 AM hour
+// splits its row in half so both readings stay visible.
+function renderHeatmap(records) {
+  state.chart = null;
+  if (!records.length) {
+    elements.plot.replaceChildren();
+    return;
+  }
+
+  const width = Math.max(elements.plot.clientWidth, 640);
+  const key = visibleSeries()[0] ?? "import";
+  const { label, value } = SERIES[key];
+  const foldDates = new Set(
+    records.filter((d) => d.fold).map((d) => d.date)
+  );
+  const cells = records.map((d) => {
+    const hour = Number(d.startTime.slice(0, 2));
+    const split = foldDates.has(d.date) && hour === 1;
+    const x1 = new Date(`${d.date}T00:00:00Z`);
+    return {
+      record: d,
+      x1,
+      x2: new Date(x1.getTime() + 86_400_000),
+      y1: split && d.fold ? hour + 0.5 : hour,
+      y2: split && !d.fold ? hour + 0.5 : hour + 1,
+      value: value(d)
+    };
+  });
+
+  const plot = Plot.plot({
+    marginTop: 32,
+    marginBottom: 48,
+    marginLeft: 56,
+    width,
+    height: 420,
+    color:
+      key === "net"
+        ? { type: "diverging", scheme: "rdbu", reverse: true, legend: true, label: `${label} (kWh)` }
+        : { type: "linear", scheme: "ylorrd", legend: true, label: `${label} (kWh)` },
+    x: {
+      label: "Date",
+      type: "utc"
+    },
+    y: {
+      label: "Hour of day",
+      domain: [0, 24],
+      reverse: true,
+      ticks: [0, 3, 6, 9, 12, 15, 18, 21],
+      tickFormat: formatHourOfDay
+    },
+    marks: [
+      Plot.rect(cells, {
+        x1: "x1",
+        x2: "x2",
+        y1: "y1",
+        y2: "y2",
+        fill: "value",
+        inset: 0
+      }),
+      Plot.tip(
+        cells,
+        Plot.pointer({
+          x: (d) => new Date((d.x1.getTime() + d.x2.getTime()) / 2),
+          y: (d) => (d.y1 + d.y2) / 2,
+          title: (d) =>
+            buildTooltip(d.record, {
+              granularity: "hourly",
+              seriesKeys: visibleSeries()
+            })
+        })
+      )
+    ]
+  });
+
+  elements.plot.replaceChildren(plot);
+}
+
+function updateStatus(
+  filtered,
+  granularity,
+  rolling,
+  comparison = null,
+  decomposition = null,
+  detail = null
+) {
+  if (!filtered.length) {
+    elements.status.textContent =
+      "No data in the selected range. Try expanding the dates.";
+    return;
+  }
+  const start = filtered[0].timestamp;
+  const end = filtered.at(-1).timestamp;
+  const intraday = INTRADAY_GRANULARITIES.includes(granularity);
+  const startLabel = intraday
+    ? `${formatDateInZone(start)} ${formatDisplayTime(start)}`
+    : formatDateInZone(start);
+  const endLabel = intraday
+    ? `${formatDateInZone(end)} ${formatDisplayTime(end)}`
+    : filtered.at(-1).endDate ?? formatDateInZone(end);
+  const totalImport = filtered.reduce((sum, d) => sum + (d.importKWh ?? 0), 0);
+  const totalExport = filtered.reduce((sum, d) => sum + (d.exportKWh ?? 0), 0);
+  let unit = granularity === "15min" ? "points" : granularity;
+  if (!intraday && granularity !== "daily") {
+    unit = rollingUnitLabel(granularity);
+    if (filtered.length === 1) unit = singularUnit(unit);
+  }
+
+  const summaryParts = [
+    `Showing ${filtered.length} ${unit} from ${startLabel} through ${endLabel}`,
+    `Total import ${totalImport.toFixed(2)} kWh`
+  ];
+  if (state.services.length > 1) {
+    const services = selectedServices(state.services, state.serviceView);
+    summaryParts.splice(
+      1,
+      0,
+      services.length === 1
+        ? serviceLabel(services[0])
+        : `${services.length} services ${
+            state.serviceView === "stacked" ? "stacked" : "summed"
+          }`
+    );
+  }
+  if (totalExport > 0 || state.series.export || state.series.net) {
+    summaryParts.push(
+      `Total export ${totalExport.toFixed(2)} kWh`,
+      `Net ${(totalImport - totalExport).toFixed(2)} kWh`
+    );
+  }
+  const { ratio, realCount, expectedCount } = summarizeCompleteness(filtered);
+  if (realCount < expectedCount) {
+    summaryParts.push(
+      `Completeness ${(ratio * 100).toFixed(1)}% (${
+        expectedCount - realCount
+      } intervals ${GAP_MODE_DESCRIPTIONS[state.gapMode]})`
+    );
+  }
+  const plan = findRatePlan(state.ratePlanId);
+  if (plan) {
+    const totalCost = filtered.reduce((sum, d) => sum + (d.costUSD ?? 0), 0);
+    summaryParts.push(`Est. cost ${formatUSD(totalCost)} (${plan.name})`);
+    const comparePlan = findRatePlan(state.comparePlanId);
+    if (comparePlan) {
+      const compareCost = filtered.reduce(
+        (sum, d) => sum + (d.compareCostUSD ?? 0),
+        0
+      );
+      const difference = compareCost - totalCost;
+      const percent = totalCost ? (difference / Math.abs(totalCost)) * 100 : 0;
+      summaryParts.push(
+        `vs ${formatUSD(compareCost)} (${comparePlan.name}, ${
+          difference >= 0 ? "+" : ""
+        }${formatUSD(difference)}, ${percent >= 0 ? "+" : ""}${percent.toFixed(1)}%)`
+      );
+    }
+  }
+  const flaggedPeriods = billingBands(filtered).filter((d) => d.flagged);
+  if (flaggedPeriods.length) {
+    summaryParts.push(
+      `${flaggedPeriods.length} billing period${
+        flaggedPeriods.length > 1 ? "s" : ""
+      } disagree with interval data`
+    );
+  }
+  const overThreshold = thresholdBands(filtered);
+  const daysOver = overThreshold.filter((band) => band.level === "day").length;
+  const intervalsOver = overThreshold.length - daysOver;
+  if (daysOver) {
+    summaryParts.push(
+      `${daysOver} day${daysOver > 1 ? "s" : ""} over ${state.budget.dailyKWh} kWh`
+    );
+  }
+  if (intervalsOver) {
+    summaryParts.push(
+      `${intervalsOver} interval${intervalsOver > 1 ? "s" : ""} over ${
+        state.budget.intervalKWh
+      } kWh`
+    );
+  }
+  const anomalyCount = anomalyBands(filtered).length;
+  if (anomalyCount) {
+    summaryParts.push(
+      `${anomalyCount} anomal${anomalyCount > 1 ? "ies" : "y"} flagged`
+    );
+  }
+  if (comparison) {
+    const key = visibleSeries()[0] ?? "import";
+    const total = (records) =>
+      records.reduce((sum, d) => sum + (SERIES[key].value(d) ?? 0), 0);
+    const current = total(filtered);
+    const previous = total(comparison.records);
+    const rangeLabel = `${comparison.startDate} – ${comparison.endDate}`;
+    if (!comparison.records.length) {
+      summaryParts.push(`No data to compare in ${rangeLabel}`);
+    } else {
+      const difference = current - previous;
+      const percent = previous ? (difference / Math.abs(previous)) * 100 : 0;
+      summaryParts.push(
+        `${SERIES[key].label} ${previous.toFixed(2)} kWh in ${rangeLabel} (${
+          difference >= 0 ? "+" : ""
+        }${difference.toFixed(2)} kWh, ${percent >= 0 ? "+" : ""}${percent.toFixed(
+          1
+        )}%)`
+      );
+    }
+  }
+  if (detail) {
+    summaryParts.push(
+      `Drawn with ${detail.drawn.toLocaleString("en-US")} of ${detail.total.toLocaleString(
+        "en-US"
+      )} points to fit the chart width (peaks kept; tooltips show exact readings)`
+    );
+  }
+  const rollingLabel = rolling && describeRollingWindow(granularity, state.rolling);
+  if (rollingLabel) summaryParts.push(rollingLabel);
+  if (decomposition) {
+    const { effects } = decomposition;
+    if (effects) {
+      const high = effects.indexOf(Math.max(...effects));
+      const low = effects.indexOf(Math.min(...effects));
+      summaryParts.push(
+        `Weekly pattern: ${WEEKDAY_NAMES[high]} ${formatSignedKWh(effects[high])}, ${
+          WEEKDAY_NAMES[low]
+        } ${formatSignedKWh(effects[low])}`
+      );
+    } else {
+      summaryParts.push("Weekly pattern needs every weekday with a full week around it");
+    }
+  }
+  elements.status.textContent = summaryParts.join(" · ");
+}
+
+function renderLoadProfile() {
+  const { loadProfile: panel, profilePlot, profileSummary } = elements;
+  if (!panel || !profilePlot || !panel.open) return;
+  const records = filterByRange(
+    state.byGranularity["15min"],
+    state.startDate,
+    state.endDate
+  );
+  const key = visibleSeries()[0] ?? "import";
+  const { label, value } = SERIES[key];
+  const { rows, dayCount } = loadProfile(records, value, state.profileGrouping);
+  if (!rows.length) {
+    profilePlot.replaceChildren();
+    profileSummary.textContent = "No readings in the selected range.";
+    return;
+  }
+  profileSummary.textContent = `${label} averaged over ${dayCount} ${
+    dayCount === 1 ? "day" : "days"
+  }. Bands show the 10th–90th and 25th–75th percentiles; dashed lines are medians.`;
+
+  const groups =
+    state.profileGrouping === "season"
+      ? SEASONS
+      : state.profileGrouping === "month"
+        ? MONTH_NAMES
+        : ["All days"];
+  const facet = state.profileGrouping === "none" ? {} : { fy: "group" };
+  const fill = (d) => d.dayType;
+  const plot = Plot.plot({
+    marginTop: 24,
+    marginBottom: 40,
+    marginRight: state.profileGrouping === "none" ? 20 : 64,
+    width: Math.max(profilePlot.clientWidth, 640),
+    height: state.profileGrouping === "none" ? 320 : 140 * new Set(rows.map((d) => d.group)).size,
+    color: {
+      domain: Object.keys(DAY_TYPE_COLORS),
+      range: Object.values(DAY_TYPE_COLORS),
+      legend: true
+    },
+    fy: {
+      domain: groups.filter((group) => rows.some((d) => d.group === group)),
+      label: null
+    },
+    x: {
+      label: "Time of day",
+      domain: [0, 1440],
+      ticks: [0, 180, 360, 540, 720, 900, 1080, 1260],
+      tickFormat: (minutes) => formatHourOfDay(minutes / 60)
+    },
+    y: {
+      label: `${label} (kWh per 15 min)`,
+      grid: true
+    },
+    marks: [
+      Plot.areaY(rows, { ...facet, x: "minutes", y1: "p10", y2: "p90", z: "dayType", fill, fillOpacity: 0.1 }),
+      Plot.areaY(rows, { ...facet, x: "minutes", y1: "p25", y2: "p75", z: "dayType", fill, fillOpacity: 0.2 }),
+      Plot.lineY(rows, { ...facet, x: "minutes", y: "median", z: "dayType", stroke: fill, strokeDasharray: "4,3" }),
+      Plot.lineY(rows, { ...facet, x: "minutes", y: "mean", z: "dayType", stroke: fill, strokeWidth: 1.5 }),
+      Plot.tip(
+        rows,
+        Plot.pointerX({
+          ...facet,
+          x: "minutes",
+          y: "mean",
+          title: (d) =>
+            [
+              `${d.dayType}, ${formatMinuteOfDay(d.minutes)}${
+                state.profileGrouping === "none" ? "" : ` (${d.group})`
+              }`,
+              `Mean: ${formatKWh(d.mean)}`,
+              `Median: ${formatKWh(d.median)}`,
+              `25th–75th: ${formatKWh(d.p25)} – ${formatKWh(d.p75)}`,
+              `10th–90th: ${formatKWh(d.p10)} – ${formatKWh(d.p90)}`,
+              `Readings: ${d.count}`
+            ].join("\n")
+        })
+      )
+    ]
+  });
+  profilePlot.replaceChildren(plot);
+}
+
+function renderWeatherPanel() {
+  const { weatherPanel, weatherPlot, weatherSummary } = elements;
+  if (!weatherPanel || !weatherPlot) return;
+  weatherPanel.hidden = state.weatherDays.length === 0;
+  if (weatherPanel.hidden || !weatherPanel.open) return;
+  const key = visibleSeries()[0] ?? "import";
+  const { label, value } = SERIES[key];
+  const { model, days } = weatherNormalize(
+    state.byGranularity.daily,
+    state.weatherDays,
+    value
+  );
+  if (!model) {
+    weatherPlot.replaceChildren();
+    weatherSummary.textContent = `Not enough complete days with temperature data to fit a model (${days.length} found).`;
+    return;
+  }
+  const terms = [`${model.intercept.toFixed(2)}`];
+  if (model.hdd) terms.push(`${model.hdd.toFixed(3)} × HDD`);
+  if (model.cdd) terms.push(`${model.cdd.toFixed(3)} × CDD`);
+  weatherSummary.textContent = `${label} kWh/day ≈ ${terms.join(" + ")} (base ${DEGREE_DAY_BASE_F}°F, R² ${model.rSquared.toFixed(
+    2
+  )}, fit on ${model.count} complete days).`;
+
+  const visible = days.filter(
+    (day) =>
+      (!state.startDate || day.date >= state.startDate) &&
+      (!state.endDate || day.date <= state.endDate)
+  );
+  const x = (d) => new Date(`${d.date}T00:00:00Z`);
+  const width = Math.max(weatherPlot.clientWidth, 640);
+  const title = (d) =>
+    [
+      d.date,
+      `Temperature: ${d.tempF.toFixed(1)}°F (HDD ${d.hdd.toFixed(1)}, CDD ${d.cdd.toFixed(1)})`,
+      `Actual: ${formatKWh(d.kWh)}`,
+      `Weather-normalized: ${formatKWh(d.normalized)}`,
+      `Residual: ${formatKWh(d.residual)}`
+    ].join("\n");
+  const usagePlot = Plot.plot({
+    marginTop: 24,
+    width,
+    height: 260,
+    color: {
+      domain: ["Actual", "Weather-normalized"],
+      range: [SERIES[key].stroke, "#64748b"],
+      legend: true
+    },
+    x: { label: "Date", type: "utc" },
+    y: { label: `${label} (kWh/day)`, grid: true },
+    marks: [
+      Plot.lineY(visible, { x, y: "kWh", stroke: () => "Actual", strokeWidth: 1.5 }),
+      Plot.lineY(visible, { x, y: "normalized", stroke: () => "Weather-normalized", strokeWidth: 1.5 }),
+      Plot.tip(visible, Plot.pointerX({ x, y: "kWh", title }))
+    ]
+  });
+  const residualPlot = Plot.plot({
+    marginTop: 16,
+    marginBottom: 40,
+    width,
+    height: 160,
+    x: { label: "Date", type: "utc" },
+    y: { label: "Residual (kWh)", grid: true },
+    marks: [
+      Plot.ruleY([0]),
+      Plot.ruleX(visible, {
+        x,
+        y1: 0,
+        y2: "residual",
+        stroke: (d) => (d.residual >= 0 ? "#dc2626" : "#16a34a"),
+        strokeWidth: 3
+      }),
+      Plot.tip(visible, Plot.pointerX({ x, y: "residual", title }))
+    ]
+  });
+  weatherPlot.replaceChildren(usagePlot, residualPlot);
+}
+
+function renderAnomalyPanel() {
+  const { anomalyPanel, anomalySummary, baseloadPlot, anomalyList } = elements;
+  if (!anomalyPanel || !anomalyList) return;
+  anomalyPanel.hidden = state.baseload.length === 0;
+  if (anomalyPanel.hidden || !anomalyPanel.open) return;
+  const latest = state.baseload.at(-1);
+  anomalySummary.textContent = `Baseload (lowest reading before ${formatMinuteOfDay(
+    Number(BASELOAD_END_TIME.slice(0, 2)) * 60
+  )}) was ${latest.kW.toFixed(2)} kW on ${latest.date}, ${latest.rollingKW.toFixed(
+    2
+  )} kW over the last ${BASELOAD_ROLLING_DAYS} days. ${
+    state.anomalies.length
+  } anomal${state.anomalies.length === 1 ? "y" : "ies"} found.`;
+
+  const x = (d) => new Date(`${d.date}T00:00:00Z`);
+  baseloadPlot.replaceChildren(
+    Plot.plot({
+      marginTop: 16,
+      marginBottom: 40,
+      width: Math.max(baseloadPlot.clientWidth, 640),
+      height: 200,
+      x: { label: "Date", type: "utc" },
+      y: { label: "Baseload (kW)", grid: true, zero: true },
+      marks: [
+        Plot.dot(state.baseload, { x, y: "kW", r: 2, fill: "#94a3b8" }),
+        Plot.lineY(state.baseload, { x, y: "rollingKW", stroke: "#0f766e", strokeWidth: 1.5 }),
+        Plot.tip(
+          state.baseload,
+          Plot.pointerX({
+            x,
+            y: "rollingKW",
+            title: (d) =>
+              `${d.date}\nOvernight minimum: ${d.kW.toFixed(2)} kW\n${BASELOAD_ROLLING_DAYS}-day median: ${d.rollingKW.toFixed(
+                2
+              )} kW`
+          })
+        )
+      ]
+    })
+  );
+
+  const items = state.anomalies.map((event) => {
+    const item = document.createElement("li");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `anomaly ${event.direction}`;
+    button.textContent = describeAnomaly(event);
+    button.addEventListener("click", () => jumpToDates(event.date, event.endDate));
+    item.append(button);
+    return item;
+  });
+  anomalyList.replaceChildren(...items);
+}
+
+// Shows the dates with a day either side, within the loaded data.
+function jumpToDates(startDate, endDate) {
+  const dates = state.availableDates;
+  if (!dates.length) return;
+  const clamp = (date) =>
+    date < dates[0] ? dates[0] : date > dates.at(-1) ? dates.at(-1) : date;
+  state.timeRange = null;
+  state.startDate = clamp(addDays(startDate, -1));
+  state.endDate = clamp(addDays(endDate, 1));
+  elements.start.value = state.startDate;
+  elements.end.value = state.endDate;
+  syncSliderToState();
+  updateChart();
+}
+
+function describeAnnotationDates({ startDate, startTime, endDate, endTime }) {
+  const start = startTime ? `${startDate} ${startTime}` : startDate;
+  if (!endDate) return start;
+  if (endDate === startDate && !startTime && !endTime) return `${startDate} (all day)`;
+  if (!endTime) return `${start} – ${endDate}`;
+  return `${start} – ${endDate === startDate ? "" : `${endDate} `}${endTime}`;
+}
+
+function renderAnnotations() {
+  const { annotationsSummary, annotationTable } = elements;
+  if (!annotationTable) return;
+  const fileNotes = state.noteAnnotations;
+  annotationsSummary.textContent = `Annotations (${state.annotations.length}${
+    fileNotes.length ? `, ${fileNotes.length} from files` : ""
+  })`;
+  const entries = state.annotations
+    .map((annotation) => ({
+      annotation,
+      start: annotationSpan(annotation).start,
+      cells: [
+        describeAnnotationDates(annotation),
+        annotation.label,
+        annotation.note,
+        "Added here"
+      ],
+      endDate: annotation.endDate ?? annotation.startDate
+    }))
+    .concat(
+      fileNotes.map((span) => ({
+        annotation: null,
+        start: span.start,
+        cells: [
+          describeAnnotationDates({
+            startDate: span.startDate,
+            startTime: formatTimeInZone(span.start),
+            endDate: formatDateInZone(span.end),
+            endTime: formatTimeInZone(span.end)
+          }),
+          span.label,
+          "",
+          `${span.source} (${serviceLabel(span.service)})`
+        ],
+        endDate: span.endDate
+      }))
+    )
+    .sort((a, b) => a.start - b.start);
+  const rows = entries.map((entry) => {
+    const row = document.createElement("tr");
+    if (!entry.annotation) {
+      row.classList.add("file-note");
+      row.classList.toggle("hidden-note", !state.showFileNotes);
+    }
+    for (const value of entry.cells) {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.append(cell);
+    }
+    const actions = document.createElement("td");
+    const startDate = formatDateInZone(entry.start);
+    const buttons = [["Show", () => jumpToDates(startDate, entry.endDate)]];
+    if (entry.annotation) {
+      buttons.push(
+        ["Edit", () => onEditAnnotation(entry.annotation)],
+        ["Delete", () => onDeleteAnnotation(entry.annotation)]
+      );
+    }
+    for (const [label, onClick] of buttons) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = label;
+      button.addEventListener("click", onClick);
+      actions.append(button);
+    }
+    row.append(actions);
+    return row;
+  });
+  annotationTable.tBodies[0].replaceChildren(...rows);
+}
+
+async function reloadAnnotations() {
+  state.annotations = await loadAnnotations();
+  renderAnnotations();
+  if (state.services.length) updateChart();
+}
+
+function resetAnnotationForm() {
+  state.editingAnnotationId = null;
+  elements.annotationForm.reset();
+  elements.saveAnnotationButton.textContent = "Add annotation";
+  elements.cancelAnnotationButton.hidden = true;
+}
+
+async function onAnnotationSubmit(event) {
+  event.preventDefault();
+  const fields = elements.annotationForm.elements;
+  let annotation;
+  try {
+    annotation = validateAnnotation({
+      id: state.editingAnnotationId ?? undefined,
+      startDate: fields.startDate.value,
+      startTime: fields.startTime.value,
+      endDate: fields.endDate.value,
+      endTime: fields.endTime.value,
+      label: fields.label.value,
+      note: fields.note.value
+    });
+  } catch (error) {
+    elements.annotationMessage.textContent = error.message;
+    return;
+  }
+  try {
+    await saveAnnotation(annotation);
+    resetAnnotationForm();
+    elements.annotationMessage.textContent = "Annotation saved.";
+    await reloadAnnotations();
+  } catch (error) {
+    console.error(error);
+    elements.annotationMessage.textContent = `Failed to save annotation: ${error.message}`;
+  }
+}
+
+function onEditAnnotation(annotation) {
+  const fields = elements.annotationForm.elements;
+  state.editingAnnotationId = annotation.id;
+  fields.startDate.value = annotation.startDate;
+  fields.startTime.value = annotation.startTime ?? "";
+  fields.endDate.value = annotation.endDate ?? "";
+  fields.endTime.value = annotation.endTime ?? "";
+  fields.label.value = annotation.label;
+  fields.note.value = annotation.note;
+  elements.saveAnnotationButton.textContent = "Update annotation";
+  elements.cancelAnnotationButton.hidden = false;
+  elements.annotationMessage.textContent = `Editing "${annotation.label}".`;
+  fields.label.focus();
+}
+
+function onCancelAnnotation() {
+  resetAnnotationForm();
+  elements.annotationMessage.textContent = "";
+}
+
+async function onDeleteAnnotation(annotation) {
+  if (!confirm(`Delete annotation "${annotation.label}"?`)) return;
+  try {
+    await deleteAnnotation(annotation.id);
+    if (state.editingAnnotationId === annotation.id) resetAnnotationForm();
+    elements.annotationMessage.textContent = "";
+    await reloadAnnotations();
+  } catch (error) {
+    console.error(error);
+    elements.annotationMessage.textContent = `Failed to delete annotation: ${error.message}`;
+  }
+}
+
+function onShowFileNotesChange(event) {
+  state.showFileNotes = event.target.checked;
+  renderAnnotations();
+  if (state.services.length) updateChart();
+}
+
+function onProfileGroupingChange(event) {
+  state.profileGrouping = event.target.value;
+  renderLoadProfile();
+}
+
+function renderBillingSummary() {
+  const { billingSummary, billingTable } = elements;
+  if (!billingSummary || !billingTable) return;
+  const periods = state.reconciliation;
+  billingSummary.hidden = periods.length === 0;
+  const statusLabels = {
+    ok: "Matches",
+    mismatch: "Disagrees",
+    incomplete: "Incomplete interval data",
+    "no-data": "No interval data"
+  };
+  const rows = periods.map((period) => {
+    const row = document.createElement("tr");
+    if (period.flagged) row.classList.add("flagged");
+    const cells = [
+      `${period.startDate} – ${period.endDate}`,
+      serviceLabel(period.service),
+      period.usageKWh.toFixed(0),
+      period.status === "no-data" ? "–" : period.intervalKWh.toFixed(1),
+      period.status === "no-data" ? "–" : period.differenceKWh.toFixed(1),
+      period.costUSD === null ? "–" : `$${period.costUSD.toFixed(2)}`,
+      period.status === "incomplete"
+        ? `${statusLabels.incomplete} (${(period.coverage * 100).toFixed(0)}%)`
+        : statusLabels[period.status]
+    ];
+    for (const value of cells) {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.append(cell);
+    }
+    return row;
+  });
+  billingTable.tBodies[0].replaceChildren(...rows);
+}
+
+function updateChart() {
+  syncViewToUrl();
+  if (state.view === "heatmap") {
+    const hourly = filterByRange(
+      state.byGranularity.hourly,
+      state.startDate,
+      state.endDate
+    );
+    renderHeatmap(hourly);
+    renderOverview();
+    updateStatus(hourly, "hourly");
+    renderBudgetStatus();
+    updateSliderBackgrounds();
+    renderLoadProfile();
+    renderWeatherPanel();
+    renderAnomalyPanel();
+    return;
+  }
+  const series = state.byGranularity[state.granularity] ?? [];
+  const filtered = filterToView(series);
+  const stacked = filterToView(state.stacked[state.granularity] ?? []);
+  const rolling = withinRecords(
+    rollingStatistics(series, state.granularity, filtered),
+    filtered
+  );
+  const comparison = buildComparison(series);
+  let decomposition = null;
+  if (state.trendOverlay !== "off" && state.granularity === "daily") {
+    const { key, entries, effects } = decomposeDaily(
+      series,
+      visibleSeries()[0] ?? "import"
+    );
+    decomposition = { key, entries: withinRecords(entries, filtered), effects };
+  }
+  const detail = renderPlot(
+    filtered,
+    rolling,
+    state.granularity,
+    stacked,
+    comparison,
+    decomposition
+  );
+  renderOverview();
+  updateStatus(
+    filtered,
+    state.granularity,
+    rolling,
+    comparison,
+    decomposition,
+    detail
+  );
+  renderBudgetStatus();
+  updateSliderBackgrounds();
+  renderLoadProfile();
+  renderWeatherPanel();
+  renderAnomalyPanel();
+}
+
+// Month-to-date use, from the daily aggregate, for the month the range ends
+// in, projected to the end of the month at the average daily rate so far.
+// The projection runs from the last real reading in the month rather than
+// the end of the view, so data that lags the view doesn't drag it down.
+function monthToDate() {
+  const { monthly, unit } = state.budget;
+  if (!monthly || !state.endDate) return null;
+  const monthStart = `${state.endDate.slice(0, 7)}-01`;
+  const intervals = filterByRange(state.byGranularity["15min"], monthStart, state.endDate);
+  const last = intervals.findLast((d) => !d.synthetic);
+  if (!last) return null;
+  const value = unit === "usd" ? (d) => d.costUSD ?? 0 : (d) => netKWh(d) ?? 0;
+  const used = intervals.reduce((sum, d) => sum + value(d), 0);
+  const nextMonth = addMonths(monthStart, 1);
+  const readThrough = last.timestamp.getTime() + FIFTEEN_MINUTES;
+  const elapsed = readThrough - intervals[0].timestamp.getTime();
+  const remaining = zonedDateTimeToDate(nextMonth, "00:00").getTime() - readThrough;
+  return {
+    month: monthStart,
+    used,
+    projected: used + (used / elapsed) * remaining,
+    complete: remaining <= 0,
+    day: daysBetween(monthStart, last.date) + 1,
+    length: daysBetween(monthStart, nextMonth)
+  };
+}
+
+function renderBudgetStatus() {
+  const { budgetStatus, budgetProgress, budgetSummary } = elements;
+  if (!budgetStatus) return;
+  const { monthly, unit } = state.budget;
+  const progress = monthToDate();
+  budgetStatus.hidden = !progress;
+  if (!progress) return;
+  const [year, month] = progress.month.split("-");
+  const monthLabel = `${MONTH_NAMES[Number(month) - 1]} ${year}`;
+  if (unit === "usd" && !findRatePlan(state.ratePlanId)) {
+    budgetProgress.hidden = true;
+    budgetSummary.textContent = `${monthLabel}: choose a rate plan to track a dollar budget.`;
+    return;
+  }
+  const format = unit === "usd" ? formatUSD : (value) => `${value.toFixed(1)} kWh`;
+  const difference = progress.projected - monthly;
+  budgetProgress.hidden = false;
+  budgetProgress.max = monthly;
+  budgetProgress.value = Math.min(Math.max(progress.used, 0), monthly);
+  budgetStatus.classList.toggle("over", progress.used > monthly);
+  budgetStatus.classList.toggle("at-risk", progress.used <= monthly && difference > 0);
+  const parts = [
+    `${monthLabel}: ${format(progress.used)} of ${format(monthly)} budget (${(
+      (progress.used / monthly) *
+      100
+    ).toFixed(0)}%)`
+  ];
+  if (progress.complete) {
+    parts.push(`${format(Math.abs(difference))} ${difference > 0 ? "over" : "under"} budget`);
+  } else {
+    parts.push(
+      `data through day ${progress.day} of ${progress.length}`,
+      `projected ${format(progress.projected)}, ${format(Math.abs(difference))} ${
+        difference > 0 ? "over" : "under"
+      } budget`
+    );
+  }
+  budgetSummary.textContent = parts.join(" · ");
+}
+
+function updateBucketFields() {
+  if (elements.weekStartField) {
+    elements.weekStartField.hidden = state.granularity !== "weekly";
+  }
+  if (elements.readDayField) {
+    elements.readDayField.hidden = state.granularity !== "billing";
+  }
+  if (elements.trendOverlayField) {
+    elements.trendOverlayField.hidden = state.granularity !== "daily";
+  }
+}
+
+function updateCompareFields() {
+  const custom = state.compare.mode === "custom";
+  if (elements.compareStartField) elements.compareStartField.hidden = !custom;
+  if (elements.compareEndField) elements.compareEndField.hidden = !custom;
+}
+
+function onCompareModeChange(event) {
+  state.compare.mode = event.target.value;
+  if (state.compare.mode === "custom" && !state.compare.startDate) {
+    const range = compareRange();
+    if (range) {
+      state.compare.startDate = range.startDate;
+      state.compare.endDate = range.endDate;
+      elements.compareStart.value = range.startDate;
+      elements.compareEnd.value = range.endDate;
+    }
+  }
+  updateCompareFields();
+  updateChart();
+}
+
+function onCompareRangeChange() {
+  const startValue = elements.compareStart.value;
+  const endValue = elements.compareEnd.value;
+  if (startValue && endValue && startValue > endValue) {
+    if (this === elements.compareStart) {
+      elements.compareEnd.value = startValue;
+    } else {
+      elements.compareStart.value = endValue;
+    }
+  }
+  state.compare.startDate = elements.compareStart.value || null;
+  state.compare.endDate = elements.compareEnd.value || null;
+  updateChart();
+}
+
+function onViewModeChange(event) {
+  state.view = event.target.value;
+  elements.granularity.disabled = state.view === "heatmap";
+  updateChart();
+}
+
+function onGranularityChange(event) {
+  state.granularity = event.target.value;
+  if (!INTRADAY_GRANULARITIES.includes(state.granularity)) state.timeRange = null;
+  updateBucketFields();
+  updateRangeStops();
+  initializeRangeSlider();
+  updateChart();
+}
+
+async function onBucketOptionsChange() {
+  state.weekStart = Number(elements.weekStart.value);
+  const readDay = Number.parseInt(elements.readDay.value, 10);
+  state.readDay =
+    Number.isFinite(readDay) ? Math.max(1, Math.min(readDay, 28)) : null;
+  if (state.readDay) elements.readDay.value = String(state.readDay);
+  await rebuildAggregates();
+  initializeRangeSlider();
+  updateChart();
+}
+
+async function onGapModeChange(event) {
+  state.gapMode = event.target.value;
+  await rebuildAggregates();
+  updateChart();
+}
+
+function onRollingChange() {
+  state.rolling = {
+    window: elements.rollingWindow.value,
+    statistic: elements.rollingStatistic.value
+  };
+  updateChart();
+}
+
+function onTrendOverlayChange(event) {
+  state.trendOverlay = event.target.value;
+  updateChart();
+}
+
+function onSeriesToggle(event) {
+  state.series[event.target.dataset.series] = event.target.checked;
+  updateChart();
 }
 
 function clampDateInputs() {
@@ -591,193 +3177,1123 @@ function clampDateInputs() {
   elements.start.max = maxDate;
   elements.end.min = minDate;
   elements.end.max = maxDate;
-  if (!state.startDate) {
+  if (!state.startDate || state.startDate < minDate || state.startDate > maxDate) {
     state.startDate = minDate;
-    elements.start.value = minDate;
   }
-  if (!state.endDate) {
+  if (!state.endDate || state.endDate > maxDate || state.endDate < state.startDate) {
     state.endDate = maxDate;
-    elements.end.value = maxDate;
   }
   elements.start.value = state.startDate;
   elements.end.value = state.endDate;
 }
 
-function onRangeChange() {
-  const startValue = elements.start.value;
-  const endValue = elements.end.value;
-  if (startValue && endValue && startValue > endValue) {
-    if (this === elements.start) {
-      elements.end.value = startValue;
-      state.endDate = startValue;
-    } else {
-      elements.start.value = endValue;
-      state.startDate = endValue;
+function onRangeChange() {
+  const startValue = elements.start.value;
+  const endValue = elements.end.value;
+  if (startValue && endValue && startValue > endValue) {
+    if (this === elements.start) {
+      elements.end.value = startValue;
+      state.endDate = startValue;
+    } else {
+      elements.start.value = endValue;
+      state.startDate = endValue;
+    }
+  } else {
+    state.startDate = startValue || null;
+    state.endDate = endValue || null;
+  }
+  state.timeRange = null;
+  syncSliderToState();
+  updateChart();
+}
+
+function workerSettings() {
+  return {
+    gapMode: state.gapMode,
+    serviceView: state.serviceView,
+    weekStart: state.weekStart,
+    readDay: state.readDay,
+    ratePlan: findRatePlan(state.ratePlanId),
+    comparePlan: findRatePlan(state.comparePlanId)
+  };
+}
+
+function applySnapshot(snapshot) {
+  state.services = snapshot.services;
+  state.serviceView = snapshot.serviceView;
+  state.byGranularity = snapshot.byGranularity;
+  state.stacked = snapshot.stacked;
+  state.availableDates = snapshot.availableDates;
+  state.baseload = snapshot.baseload;
+  state.anomalies = snapshot.anomalies;
+  state.reconciliation = snapshot.reconciliation;
+  state.billingPeriods = snapshot.billingPeriods;
+  state.weatherDays = snapshot.weatherDays;
+  state.imports = snapshot.imports;
+  state.noteAnnotations = snapshot.noteAnnotations ?? [];
+  populateServiceSelect();
+  updateRangeStops();
+  renderImportHistory();
+  renderAnnotations();
+}
+
+async function rebuildAggregates() {
+  applySnapshot(await runTask("rebuild", { settings: workerSettings() }));
+}
+
+function resetRange() {
+  state.timeRange = null;
+  if (state.availableDates.length) {
+    state.rangeIndices.start = 0;
+    state.rangeIndices.end = state.rangeStops.length - 1;
+    state.startDate = state.availableDates[0];
+    state.endDate = state.availableDates.at(-1);
+  } else {
+    state.rangeIndices.start = 0;
+    state.rangeIndices.end = 0;
+    state.startDate = null;
+    state.endDate = null;
+  }
+}
+
+// The granularity, range, series, chart mode and service are mirrored in the
+// URL hash, e.g. #granularity=daily&from=2024-01-01&to=2024-03-31, so a view
+// can be bookmarked or shared. A zoomed intraday range carries local times
+// (from=2024-01-01T06:00). Saved views may use last=N instead of dates for
+// the latest N days of data.
+const SAVED_VIEWS_STORAGE_KEY = "electricity-usage:saved-views";
+const VIEW_MODES = ["series", "heatmap"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+function viewHash({ last = null } = {}) {
+  const params = new URLSearchParams();
+  params.set("granularity", state.granularity);
+  params.set("view", state.view);
+  params.set("service", state.serviceView);
+  params.set(
+    "series",
+    Object.keys(state.series)
+      .filter((series) => state.series[series])
+      .join(",")
+  );
+  params.set("rolling", state.rolling.window);
+  params.set("stat", state.rolling.statistic);
+  params.set("trend", state.trendOverlay);
+  if (last) {
+    params.set("last", String(last));
+  } else if (state.timeRange) {
+    const { start, end } = state.timeRange;
+    params.set("from", `${formatDateInZone(start)}T${formatTimeInZone(start)}`);
+    params.set("to", `${formatDateInZone(end)}T${formatTimeInZone(end)}`);
+  } else if (state.startDate && state.endDate) {
+    params.set("from", state.startDate);
+    params.set("to", state.endDate);
+  }
+  // Commas and colons are fine in a URL fragment and keep it readable.
+  return params.toString().replaceAll("%2C", ",").replaceAll("%3A", ":");
+}
+
+// Ignores anything it doesn't recognize, so a stale or hand-edited link
+// still opens with the rest of its settings.
+function parseViewHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const view = {};
+  if (GRANULARITIES.includes(params.get("granularity"))) {
+    view.granularity = params.get("granularity");
+  }
+  if (VIEW_MODES.includes(params.get("view"))) {
+    view.view = params.get("view");
+  }
+  if (params.get("service")) {
+    view.serviceView = params.get("service");
+  }
+  if (params.has("series")) {
+    const shown = params.get("series").split(",");
+    view.series = Object.fromEntries(
+      Object.keys(state.series).map((series) => [series, shown.includes(series)])
+    );
+  }
+  if (Object.hasOwn(ROLLING_WINDOWS, params.get("rolling") ?? "")) {
+    view.rollingWindow = params.get("rolling");
+  }
+  if (Object.hasOwn(ROLLING_STATISTICS, params.get("stat") ?? "")) {
+    view.rollingStatistic = params.get("stat");
+  }
+  if (TREND_OVERLAYS.includes(params.get("trend"))) {
+    view.trendOverlay = params.get("trend");
+  }
+  const last = Number(params.get("last"));
+  if (Number.isInteger(last) && last > 0) {
+    view.last = last;
+  } else if (DATE_PATTERN.test(params.get("from")) && DATE_PATTERN.test(params.get("to"))) {
+    view.startDate = params.get("from");
+    view.endDate = params.get("to");
+  } else if (
+    DATE_TIME_PATTERN.test(params.get("from")) &&
+    DATE_TIME_PATTERN.test(params.get("to"))
+  ) {
+    const start = zonedDateTimeToDate(...params.get("from").split("T"));
+    const end = zonedDateTimeToDate(...params.get("to").split("T"));
+    if (start < end) view.timeRange = { start, end };
+  }
+  return view;
+}
+
+function syncViewToUrl() {
+  const hash = `#${viewHash()}`;
+  if (location.hash !== hash) {
+    history.replaceState(null, "", hash);
+  }
+}
+
+function applyViewSettings(view) {
+  if (view.granularity) state.granularity = view.granularity;
+  if (view.view) state.view = view.view;
+  if (view.series) state.series = view.series;
+  if (view.serviceView) state.serviceView = view.serviceView;
+  if (view.rollingWindow || view.rollingStatistic) {
+    state.rolling = {
+      window: view.rollingWindow ?? state.rolling.window,
+      statistic: view.rollingStatistic ?? state.rolling.statistic
+    };
+  }
+  if (view.trendOverlay) state.trendOverlay = view.trendOverlay;
+}
+
+function applyViewRange(view) {
+  const latest = state.availableDates.at(-1);
+  if (view.last || view.startDate || view.timeRange) state.timeRange = null;
+  if (view.last && latest) {
+    state.startDate = addDays(latest, 1 - view.last);
+    state.endDate = latest;
+  } else if (view.timeRange) {
+    state.startDate = formatDateInZone(view.timeRange.start);
+    state.endDate = formatDateInZone(new Date(view.timeRange.end.getTime() - 1));
+    state.timeRange = view.timeRange;
+  } else if (view.startDate) {
+    state.startDate = view.startDate <= view.endDate ? view.startDate : view.endDate;
+    state.endDate = view.startDate <= view.endDate ? view.endDate : view.startDate;
+  }
+}
+
+function showViewSettings() {
+  elements.granularity.value = state.granularity;
+  elements.granularity.disabled = state.view === "heatmap";
+  if (elements.viewMode) elements.viewMode.value = state.view;
+  for (const input of elements.seriesInputs) {
+    input.checked = state.series[input.dataset.series];
+  }
+  if (elements.rollingWindow) elements.rollingWindow.value = state.rolling.window;
+  if (elements.rollingStatistic) {
+    elements.rollingStatistic.value = state.rolling.statistic;
+  }
+  if (elements.trendOverlay) elements.trendOverlay.value = state.trendOverlay;
+  updateBucketFields();
+}
+
+async function applyView(view) {
+  const serviceView = state.serviceView;
+  applyViewSettings(view);
+  if (state.serviceView !== serviceView) {
+    await rebuildAggregates();
+  }
+  updateRangeStops();
+  applyViewRange(view);
+  clampDateInputs();
+  initializeRangeSlider();
+  showViewSettings();
+  renderBillingSummary();
+  updateChart();
+}
+
+async function onHashChange() {
+  try {
+    await applyView(parseViewHash(location.hash));
+  } catch (error) {
+    console.error(error);
+    elements.status.textContent = `Failed to open view: ${error.message}`;
+  }
+}
+
+function loadSavedViews() {
+  try {
+    const views = JSON.parse(localStorage.getItem(SAVED_VIEWS_STORAGE_KEY));
+    return Array.isArray(views) ? views : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveSavedViews(views) {
+  localStorage.setItem(SAVED_VIEWS_STORAGE_KEY, JSON.stringify(views));
+  populateSavedViews();
+}
+
+function populateSavedViews(selectedName = "") {
+  const select = elements.savedView;
+  if (!select) return;
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = "Choose a view…";
+  const options = loadSavedViews().map((view) => {
+    const option = document.createElement("option");
+    option.value = view.name;
+    option.textContent = view.name;
+    return option;
+  });
+  select.replaceChildren(placeholder, ...options);
+  select.value = selectedName;
+  if (elements.deleteViewButton) elements.deleteViewButton.disabled = !select.value;
+}
+
+async function onSavedViewChange(event) {
+  const view = loadSavedViews().find((saved) => saved.name === event.target.value);
+  if (elements.deleteViewButton) elements.deleteViewButton.disabled = !view;
+  if (!view) return;
+  try {
+    await applyView(parseViewHash(view.hash));
+  } catch (error) {
+    console.error(error);
+    elements.status.textContent = `Failed to open view: ${error.message}`;
+  }
+}
+
+function onSaveView() {
+  const name = prompt("Name this view:", elements.savedView?.value || "")?.trim();
+  if (!name) return;
+  let last = null;
+  const latest = state.availableDates.at(-1);
+  if (state.startDate && state.endDate === latest && !state.timeRange) {
+    const days = daysBetween(state.startDate, state.endDate) + 1;
+    if (
+      confirm(
+        `Keep "${name}" on the latest ${days} days of data as new data arrives? Cancel saves the fixed dates instead.`
+      )
+    ) {
+      last = days;
+    }
+  }
+  const views = loadSavedViews().filter((view) => view.name !== name);
+  views.push({ name, hash: viewHash({ last }) });
+  views.sort((a, b) => a.name.localeCompare(b.name));
+  saveSavedViews(views);
+  populateSavedViews(name);
+}
+
+function onDeleteView() {
+  const name = elements.savedView?.value;
+  if (!name || !confirm(`Delete the saved view "${name}"?`)) return;
+  saveSavedViews(loadSavedViews().filter((view) => view.name !== name));
+}
+
+function populateServiceSelect() {
+  const select = elements.serviceView;
+  if (!select) return;
+  const options = [
+    ["sum", "All services (summed)"],
+    ["stacked", "All services (stacked)"]
+  ]
+    .concat(state.services.map((service) => [service, serviceLabel(service)]))
+    .map(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      return option;
+    });
+  select.replaceChildren(...options);
+  select.value = state.serviceView;
+}
+
+async function onServiceViewChange(event) {
+  state.serviceView = event.target.value;
+  await rebuildAggregates();
+  clampDateInputs();
+  initializeRangeSlider();
+  renderBillingSummary();
+  updateChart();
+}
+
+function populateRatePlanSelects() {
+  const { ratePlan, comparePlan } = elements;
+  if (!ratePlan || !comparePlan) return;
+  const options = (includeNone) => {
+    const list = state.ratePlans.map((plan) => {
+      const option = document.createElement("option");
+      option.value = String(plan.id);
+      option.textContent = plan.name;
+      return option;
+    });
+    if (includeNone) {
+      const none = document.createElement("option");
+      none.value = "";
+      none.textContent = "None";
+      list.unshift(none);
     }
+    return list;
+  };
+  ratePlan.replaceChildren(...options(!state.ratePlans.length));
+  comparePlan.replaceChildren(...options(true));
+  ratePlan.value = state.ratePlanId === null ? "" : String(state.ratePlanId);
+  comparePlan.value =
+    state.comparePlanId === null ? "" : String(state.comparePlanId);
+}
+
+function showRatePlanInEditor() {
+  const { ratePlanEditor, ratePlanMessage } = elements;
+  if (!ratePlanEditor) return;
+  const plan = findRatePlan(state.ratePlanId);
+  if (plan) {
+    const { id, ...definition } = plan;
+    ratePlanEditor.value = JSON.stringify(definition, null, 2);
   } else {
-    state.startDate = startValue || null;
-    state.endDate = endValue || null;
+    ratePlanEditor.value = "";
   }
-  syncSliderToState();
+  if (ratePlanMessage) ratePlanMessage.textContent = "";
+}
+
+function setRatePlans(plans) {
+  state.ratePlans = plans;
+  if (!findRatePlan(state.ratePlanId)) {
+    state.ratePlanId = plans[0]?.id ?? null;
+  }
+  if (!findRatePlan(state.comparePlanId)) {
+    state.comparePlanId = null;
+  }
+  populateRatePlanSelects();
+  showRatePlanInEditor();
+}
+
+async function onRatePlanChange(event) {
+  state.ratePlanId = event.target.value ? Number(event.target.value) : null;
+  showRatePlanInEditor();
+  await rebuildAggregates();
   updateChart();
 }
 
-async function loadUsageData(files) {
-  if (!files || !files.length) {
-    throw new Error("No files provided.");
+async function onComparePlanChange(event) {
+  state.comparePlanId = event.target.value ? Number(event.target.value) : null;
+  await rebuildAggregates();
+  updateChart();
+}
+
+async function onSavePlan() {
+  let plan;
+  try {
+    plan = validateRatePlan(JSON.parse(elements.ratePlanEditor.value));
+  } catch (error) {
+    elements.ratePlanMessage.textContent = error.message;
+    return;
+  }
+  try {
+    const id = await saveRatePlan({ ...plan, id: state.ratePlanId ?? undefined });
+    state.ratePlanId = id;
+    setRatePlans(await loadRatePlans());
+    elements.ratePlanMessage.textContent = "Plan saved.";
+    await rebuildAggregates();
+    updateChart();
+  } catch (error) {
+    console.error(error);
+    elements.ratePlanMessage.textContent = `Failed to save plan: ${error.message}`;
   }
+}
 
-  const readFile = (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        try {
-          const text = event.target.result;
-          const normalized = normalizeCsv(text);
-          const records = parseUsageRows(normalized, file.name);
-          resolve(records);
-        } catch (error) {
-          reject(new Error(`Failed to parse ${file.name}: ${error.message}`));
-        }
-      };
-      reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
-      reader.readAsText(file);
+async function onDuplicatePlan() {
+  const current = findRatePlan(state.ratePlanId);
+  const { id, ...definition } = current ?? DEFAULT_RATE_PLANS[0];
+  try {
+    state.ratePlanId = await saveRatePlan({
+      ...definition,
+      name: `${definition.name} (copy)`
     });
+    setRatePlans(await loadRatePlans());
+    await rebuildAggregates();
+    updateChart();
+  } catch (error) {
+    console.error(error);
+    elements.ratePlanMessage.textContent = `Failed to create plan: ${error.message}`;
+  }
+}
+
+async function onDeletePlan() {
+  const plan = findRatePlan(state.ratePlanId);
+  if (!plan) return;
+  if (!confirm(`Delete rate plan "${plan.name}"?`)) return;
+  try {
+    await deleteRatePlan(plan.id);
+    state.ratePlanId = null;
+    setRatePlans(await loadRatePlans());
+    await rebuildAggregates();
+    updateChart();
+  } catch (error) {
+    console.error(error);
+    elements.ratePlanMessage.textContent = `Failed to delete plan: ${error.message}`;
+  }
+}
+
+const BUDGET_STORAGE_KEY = "electricity-usage:budget";
+
+// Budgets and thresholds are in net kWh (import − export), or in estimated
+// dollars for a dollar budget. Empty fields turn them off.
+function normalizeBudget(budget) {
+  const positive = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+  return {
+    monthly: positive(budget?.monthly),
+    unit: budget?.unit === "usd" ? "usd" : "kWh",
+    dailyKWh: positive(budget?.dailyKWh),
+    intervalKWh: positive(budget?.intervalKWh)
   };
+}
 
-  const newRecordsArrays = await Promise.all(
-    Array.from(files).map((file) => readFile(file))
-  );
+function loadBudget() {
+  try {
+    return normalizeBudget(JSON.parse(localStorage.getItem(BUDGET_STORAGE_KEY)));
+  } catch {
+    return normalizeBudget(null);
+  }
+}
+
+function saveBudget(budget) {
+  localStorage.setItem(BUDGET_STORAGE_KEY, JSON.stringify(budget));
+}
+
+function showBudgetSettings() {
+  const { monthly, unit, dailyKWh, intervalKWh } = state.budget;
+  if (!elements.budgetAmount) return;
+  elements.budgetAmount.value = monthly ?? "";
+  elements.budgetUnit.value = unit;
+  elements.dayThreshold.value = dailyKWh ?? "";
+  elements.intervalThreshold.value = intervalKWh ?? "";
+}
+
+function onBudgetChange() {
+  state.budget = normalizeBudget({
+    monthly: Number.parseFloat(elements.budgetAmount.value),
+    unit: elements.budgetUnit.value,
+    dailyKWh: Number.parseFloat(elements.dayThreshold.value),
+    intervalKWh: Number.parseFloat(elements.intervalThreshold.value)
+  });
+  saveBudget(state.budget);
+  if (state.services.length) updateChart();
+}
 
-  const existingRecords = await loadAllRecords();
-  const recordsByTimestamp = new Map();
+const worker = new Worker(new URL("./worker.js", import.meta.url), {
+  type: "module"
+});
+const pendingTasks = new Map();
+let nextTaskId = 1;
+
+// Sends a task to the worker and resolves with its result. Progress is shown
+// in the status line until the task settles.
+function runTask(type, payload = {}, { cancellable = false } = {}) {
+  const id = nextTaskId++;
+  return new Promise((resolve, reject) => {
+    pendingTasks.set(id, { resolve, reject, cancellable });
+    worker.postMessage({ id, type, ...payload });
+  });
+}
 
-  for (const record of existingRecords) {
-    recordsByTimestamp.set(record.timestamp.getTime(), record);
+function showTaskProgress(id, { message, value, max }) {
+  const { taskProgress, taskProgressBar, cancelTask } = elements;
+  elements.status.textContent = message;
+  if (!taskProgress) return;
+  taskProgress.hidden = false;
+  if (max) {
+    taskProgressBar.max = max;
+    taskProgressBar.value = value;
+  } else {
+    taskProgressBar.removeAttribute("value");
   }
+  cancelTask.hidden = !pendingTasks.get(id).cancellable;
+  cancelTask.disabled = false;
+  cancelTask.dataset.taskId = String(id);
+}
+
+function hideTaskProgress() {
+  if (elements.taskProgress) elements.taskProgress.hidden = true;
+}
 
-  for (const records of newRecordsArrays) {
-    for (const record of records) {
-      recordsByTimestamp.set(record.timestamp.getTime(), record);
+async function onWorkerMessage({ data: message }) {
+  if (message.type === "clearCommitted") {
+    hideUndoClear();
+    return;
+  }
+  const task = pendingTasks.get(message.id);
+  if (!task) return;
+  if (message.type === "progress") {
+    showTaskProgress(message.id, message);
+    return;
+  }
+  if (message.type === "mapping") {
+    try {
+      const mapping = await requestColumnMapping(message.fileName, message.text);
+      worker.postMessage({
+        id: message.id,
+        type: "mapping",
+        reply: mapping && { mapping, columnMappings: loadColumnMappings() }
+      });
+    } catch (error) {
+      worker.postMessage({ id: message.id, type: "mapping", error: error.message });
     }
+    return;
+  }
+  pendingTasks.delete(message.id);
+  hideTaskProgress();
+  if (message.type === "result") {
+    task.resolve(message.result);
+  } else {
+    const error = new Error(message.message);
+    error.cancelled = message.cancelled;
+    task.reject(error);
   }
+}
 
-  const merged = Array.from(recordsByTimestamp.values()).sort(
-    (a, b) => a.timestamp - b.timestamp
-  );
+function onWorkerError(event) {
+  const error = new Error(event.message || "The background worker failed.");
+  for (const task of pendingTasks.values()) {
+    task.reject(error);
+  }
+  pendingTasks.clear();
+  hideTaskProgress();
+}
 
-  await saveRecords(merged);
+function onCancelTask() {
+  const { cancelTask } = elements;
+  worker.postMessage({ type: "cancel", id: Number(cancelTask.dataset.taskId) });
+  cancelTask.disabled = true;
+  elements.status.textContent = "Cancelling…";
+}
 
-  const filled = fillMissingIntervals(merged);
+async function loadUsageData(files) {
+  if (!files || !files.length) {
+    throw new Error("No files provided.");
+  }
 
-  state.byGranularity["15min"] = filled;
-  state.byGranularity.hourly = aggregate(filled, "hourly");
-  state.byGranularity.daily = aggregate(filled, "daily");
-  state.availableDates = listAvailableDates(filled);
-  if (state.availableDates.length) {
-    state.rangeIndices.start = 0;
-    state.rangeIndices.end = state.availableDates.length - 1;
-    state.startDate = state.availableDates[0];
-    state.endDate = state.availableDates.at(-1);
-  } else {
-    state.rangeIndices.start = 0;
-    state.rangeIndices.end = 0;
-    state.startDate = null;
-    state.endDate = null;
+  hideUndoClear();
+  const { report, snapshot, usageChanged } = await runTask(
+    "import",
+    {
+      files: Array.from(files),
+      settings: workerSettings(),
+      columnMappings: loadColumnMappings()
+    },
+    { cancellable: true }
+  );
+  if (snapshot) {
+    applySnapshot(snapshot);
+    if (usageChanged) resetRange();
   }
+  return report;
 }
 
-const DB_NAME = "scl-usage-data";
-const DB_VERSION = 1;
-const STORE_NAME = "intervals";
+function renderImportReport(report) {
+  const { importReport, importReportList, importReportSummary } = elements;
+  if (!importReport || !importReportList) return;
+  importReport.hidden = !report.length;
+  const failed = report.filter((entry) => entry.error).length;
+  importReportSummary.textContent = `Last import: ${report.length} file${
+    report.length === 1 ? "" : "s"
+  }${failed ? `, ${failed} not imported` : ""}`;
+  importReport.open = failed > 0;
+  const items = report.map((entry) => {
+    const item = document.createElement("li");
+    const name = entry.archive ? `${entry.archive} › ${entry.name}` : entry.name;
+    if (entry.error) {
+      item.className = "failed";
+      item.textContent = `${name}: ${entry.error}`;
+      return item;
+    }
+    const parts = [entry.format, entry.summary];
+    if (entry.startDate) {
+      parts.push(
+        entry.startDate === entry.endDate
+          ? entry.startDate
+          : `${entry.startDate} – ${entry.endDate}`
+      );
+    }
+    if (entry.unchanged !== undefined) {
+      parts.push(
+        `already imported: ${entry.updated} new or changed, ${entry.unchanged} unchanged`
+      );
+      if (entry.removed) parts.push(`${entry.removed} no longer in the file`);
+    } else if (entry.added !== undefined) {
+      parts.push(`${entry.added} new`);
+    }
+    if (entry.replaced) parts.push(`${entry.replaced} replaced`);
+    if (entry.superseded) parts.push(`${entry.superseded} kept from newer files`);
+    item.textContent = `${name}: ${parts.join(", ")}`;
+    return item;
+  });
+  importReportList.replaceChildren(...items);
+}
 
-async function openDatabase() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
+function renderImportHistory() {
+  const { importHistory, importHistorySummary, importTable } = elements;
+  if (!importHistory || !importTable) return;
+  importHistory.hidden = state.imports.length === 0;
+  importHistorySummary.textContent = `Import history (${state.imports.length} file${
+    state.imports.length === 1 ? "" : "s"
+  })`;
+  const entries = state.imports
+    .slice()
+    .sort((a, b) => b.importedAt - a.importedAt || b.id - a.id);
+  const rows = entries.map((entry) => {
+    const row = document.createElement("tr");
+    const imported = new Date(entry.importedAt);
+    const cells = [
+      entry.archive ? `${entry.archive} › ${entry.fileName}` : entry.fileName,
+      entry.format,
+      entry.startDate === entry.endDate
+        ? entry.startDate ?? "–"
+        : `${entry.startDate} – ${entry.endDate}`,
+      String(entry.rowCount),
+      String(entry.replacedCount),
+      String(entry.supersededCount),
+      entry.importedAt
+        ? `${formatDateInZone(imported)} ${displayTimeFormatter.format(imported)}`
+        : "Before history"
+    ];
+    for (const value of cells) {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.append(cell);
+    }
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = "Remove";
+    button.addEventListener("click", () => onRemoveImport(entry));
+    const cell = document.createElement("td");
+    cell.append(button);
+    row.append(cell);
+    return row;
+  });
+  importTable.tBodies[0].replaceChildren(...rows);
+}
 
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
+function fillMappingSelect(select, columns, { optional = false, guess } = {}) {
+  const options = (optional ? [["", optional]] : [])
+    .concat(columns.map((column) => [column, column]))
+    .map(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      return option;
+    });
+  select.replaceChildren(...options);
+  const guessed = columns.find((column) => guess?.test(column));
+  if (guessed) select.value = guessed;
+}
 
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME, { keyPath: "timestampKey" });
-      }
-    };
+// Resolves with the chosen mapping, or null when the file is skipped.
+function requestColumnMapping(fileName, text) {
+  const dialog = elements.columnMapping;
+  const headerLine = guessHeaderLine(text);
+  if (!dialog || !headerLine) {
+    return Promise.reject(new Error("Unable to locate CSV header row."));
+  }
+  const form = dialog.querySelector("form");
+  const columns = splitCsvLine(headerLine);
+  elements.mappingFile.textContent = `${fileName} isn't in a known format. Choose which columns hold the readings.`;
+  const lines = text.split(/\r?\n/);
+  const previewRows = lines
+    .slice(lines.indexOf(headerLine), lines.indexOf(headerLine) + 4)
+    .map((line, index) => {
+      const row = document.createElement("tr");
+      row.append(
+        ...splitCsvLine(line).map((value) => {
+          const cell = document.createElement(index === 0 ? "th" : "td");
+          cell.textContent = value;
+          return cell;
+        })
+      );
+      return row;
+    });
+  elements.mappingPreview.replaceChildren(...previewRows);
+  fillMappingSelect(form.elements.date, columns, { guess: /date|time|start/i });
+  fillMappingSelect(form.elements.time, columns, {
+    optional: "(included in date)",
+    guess: /^(start )?time$/i
+  });
+  fillMappingSelect(form.elements.import, columns, {
+    guess: /import|usage|consumption|kwh|value/i
+  });
+  fillMappingSelect(form.elements.export, columns, {
+    optional: "(none)",
+    guess: /export|generat|return|produc/i
+  });
+  return new Promise((resolve) => {
+    dialog.addEventListener(
+      "close",
+      () => {
+        if (dialog.returnValue !== "confirm") {
+          resolve(null);
+          return;
+        }
+        const mapping = {
+          headerLine,
+          date: form.elements.date.value,
+          time: form.elements.time.value,
+          import: form.elements.import.value,
+          export: form.elements.export.value,
+          unit: form.elements.unit.value,
+          interval: form.elements.interval.value,
+          service: form.elements.service.value.trim()
+        };
+        if (form.elements.remember.checked) saveColumnMapping(headerLine, mapping);
+        resolve(mapping);
+      },
+      { once: true }
+    );
+    dialog.returnValue = "";
+    dialog.showModal();
   });
 }
 
-async function saveRecords(records) {
-  const db = await openDatabase();
-  const transaction = db.transaction([STORE_NAME], "readwrite");
-  const store = transaction.objectStore(STORE_NAME);
+function formatLocalIso(date) {
+  const offset = tzOffset(date, TIME_ZONE);
+  const local = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 19);
+  const sign = offset < 0 ? "-" : "+";
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, "0");
+  const minutes = String(Math.abs(offset) % 60).padStart(2, "0");
+  return `${local}${sign}${hours}:${minutes}`;
+}
 
-  for (const record of records) {
-    const timestampKey = record.timestamp.getTime();
-    store.put({ ...record, timestampKey });
+function bucketEnd(record, granularity) {
+  if (granularity === "15min") {
+    return new Date(record.timestamp.getTime() + FIFTEEN_MINUTES);
+  }
+  if (granularity === "hourly") {
+    return new Date(record.timestamp.getTime() + ONE_HOUR);
   }
+  return zonedDateTimeToDate(addDays(record.endDate ?? record.date, 1), "00:00");
+}
 
-  return new Promise((resolve, reject) => {
-    transaction.oncomplete = () => {
-      db.close();
-      resolve();
-    };
-    transaction.onerror = () => {
-      db.close();
-      reject(transaction.error);
+function exportGranularity() {
+  return state.view === "heatmap" ? "hourly" : state.granularity;
+}
+
+function exportFileName(extension) {
+  return `electricity-usage_${state.startDate}_to_${state.endDate}_${exportGranularity()}.${extension}`;
+}
+
+function describeExport() {
+  const services = selectedServices(state.services, state.serviceView);
+  const serviceText =
+    services.length === 1
+      ? serviceLabel(services[0])
+      : `${services.length} services`;
+  const range = currentViewRange();
+  const rangeText =
+    state.timeRange && range && INTRADAY_GRANULARITIES.includes(exportGranularity())
+      ? `${formatDateInZone(range.start)} ${formatTimeInZone(range.start)} to ${formatDateInZone(
+          range.end
+        )} ${formatTimeInZone(range.end)}`
+      : `${state.startDate} to ${state.endDate}`;
+  return `Electricity usage, ${serviceText}, ${rangeText} (${exportGranularity()})`;
+}
+
+// Source files and fill flags come from the per-service 15-minute records,
+// since summed and aggregated records only keep totals.
+function exportRows(intervals) {
+  const granularity = exportGranularity();
+  const buckets = filterToView(state.byGranularity[granularity], granularity);
+  const services = selectedServices(state.services, state.serviceView);
+  const annotations = visibleAnnotations();
+  let index = 0;
+  return buckets.map((bucket) => {
+    const start = bucket.timestamp;
+    const end = bucketEnd(bucket, granularity);
+    const sources = new Set();
+    const fillMethods = new Set();
+    while (index < intervals.length && intervals[index].timestamp < start) index++;
+    for (let i = index; i < intervals.length && intervals[i].timestamp < end; i++) {
+      if (intervals[i].synthetic) fillMethods.add(intervals[i].fillMethod);
+      else sources.add(intervals[i].source);
+    }
+    return {
+      start_local: formatLocalIso(start),
+      end_local: formatLocalIso(end),
+      start_utc: start.toISOString(),
+      end_utc: end.toISOString(),
+      import_kwh: bucket.importKWh,
+      export_kwh: bucket.exportKWh,
+      net_kwh: netKWh(bucket),
+      cost_usd: bucket.costUSD ?? null,
+      synthetic: fillMethods.size > 0,
+      fill_method: Array.from(fillMethods).join(";"),
+      real_intervals: bucket.realCount ?? (bucket.synthetic ? 0 : 1),
+      expected_intervals: bucket.expectedCount ?? (bucket.repeatedHour ? 0 : 1),
+      services: services.join(";"),
+      sources: Array.from(sources).join(";"),
+      annotations: overlappingAnnotations(annotations, start, end)
+        .map((item) => item.label)
+        .join("; ")
     };
   });
 }
 
-async function loadAllRecords() {
-  const db = await openDatabase();
-  const transaction = db.transaction([STORE_NAME], "readonly");
-  const store = transaction.objectStore(STORE_NAME);
+function exportAnnotations() {
+  const range = currentViewRange();
+  const annotations = visibleAnnotations();
+  return (range ? overlappingAnnotations(annotations, range.start, range.end) : annotations).map(
+    (item) => ({
+      label: item.label,
+      note: item.note,
+      start_local: formatLocalIso(item.start),
+      end_local: item.end ? formatLocalIso(item.end) : null,
+      source: item.source ?? "user"
+    })
+  );
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
 
-  return new Promise((resolve, reject) => {
-    const request = store.getAll();
-
-    request.onsuccess = () => {
-      db.close();
-      const records = request.result.map((record) => ({
-        timestamp: new Date(record.timestampKey),
-        date: record.date,
-        startTime: record.startTime,
-        importKWh: record.importKWh,
-        source: record.source,
-        synthetic: record.synthetic
-      }));
-      records.sort((a, b) => a.timestamp - b.timestamp);
-      resolve(records);
-    };
+function espiEntry(href, title, content, related = []) {
+  const links = related
+    .map((link) => `    <link rel="related" href="${link}"/>`)
+    .join("\n");
+  return `  <entry>
+    <id>urn:uuid:${crypto.randomUUID()}</id>
+    <link rel="self" href="${href}"/>
+${links ? `${links}\n` : ""}    <title>${escapeXml(title)}</title>
+    <content>
+${content}
+    </content>
+    <updated>${new Date().toISOString()}</updated>
+  </entry>`;
+}
 
-    request.onerror = () => {
-      db.close();
-      reject(request.error);
-    };
+// Green Button (NAESB ESPI) feed with one usage point and a meter reading per
+// flow direction. Values are whole Wh; filled intervals carry a ReadingQuality
+// code and gaps left empty are omitted.
+function buildEspiXml(rows) {
+  const services = selectedServices(state.services, state.serviceView);
+  const usagePoint = services.length === 1 ? encodeURIComponent(services[0]) : "1";
+  const base = `/espi/1_1/resource/Subscription/1/UsagePoint/${usagePoint}`;
+  const seconds = (iso) => Math.round(Date.parse(iso) / 1000);
+  const directions = [
+    { key: "import_kwh", flowDirection: 1, label: "Import" },
+    { key: "export_kwh", flowDirection: 19, label: "Export" }
+  ].filter(
+    ({ key }, index) => index === 0 || rows.some((row) => row[key])
+  );
+  const entries = [
+    espiEntry(
+      base,
+      describeExport(),
+      `      <espi:UsagePoint>
+        <espi:ServiceCategory><espi:kind>0</espi:kind></espi:ServiceCategory>
+      </espi:UsagePoint>`,
+      [`${base}/MeterReading`]
+    )
+  ];
+  directions.forEach(({ key, flowDirection, label }, index) => {
+    const meterReading = `${base}/MeterReading/${index + 1}`;
+    const readingType = `/espi/1_1/resource/ReadingType/${index + 1}`;
+    const first = rows[0];
+    entries.push(
+      espiEntry(
+        meterReading,
+        `${label} readings`,
+        "      <espi:MeterReading/>",
+        [readingType, `${meterReading}/IntervalBlock`]
+      ),
+      espiEntry(
+        readingType,
+        `${label} energy (Wh)`,
+        `      <espi:ReadingType>
+        <espi:accumulationBehaviour>4</espi:accumulationBehaviour>
+        <espi:commodity>1</espi:commodity>
+        <espi:flowDirection>${flowDirection}</espi:flowDirection>
+        <espi:intervalLength>${
+          seconds(first.end_utc) - seconds(first.start_utc)
+        }</espi:intervalLength>
+        <espi:kind>12</espi:kind>
+        <espi:powerOfTenMultiplier>0</espi:powerOfTenMultiplier>
+        <espi:uom>72</espi:uom>
+      </espi:ReadingType>`
+      )
+    );
+    const readings = rows
+      .filter((row) => row[key] !== null)
+      .map((row) => {
+        let quality = "";
+        if (row.synthetic) {
+          const code =
+            row.real_intervals > 0 || row.fill_method.includes(";")
+              ? ESPI_QUALITY.mixed
+              : ESPI_QUALITY[row.fill_method];
+          quality = `\n          <espi:ReadingQuality><espi:quality>${code}</espi:quality></espi:ReadingQuality>`;
+        }
+        return `        <espi:IntervalReading>${quality}
+          <espi:timePeriod>
+            <espi:duration>${seconds(row.end_utc) - seconds(row.start_utc)}</espi:duration>
+            <espi:start>${seconds(row.start_utc)}</espi:start>
+          </espi:timePeriod>
+          <espi:value>${Math.round(row[key] * 1000)}</espi:value>
+        </espi:IntervalReading>`;
+      });
+    entries.push(
+      espiEntry(
+        `${meterReading}/IntervalBlock/1`,
+        `${label} intervals`,
+        `      <espi:IntervalBlock>
+        <espi:interval>
+          <espi:duration>${seconds(rows.at(-1).end_utc) - seconds(first.start_utc)}</espi:duration>
+          <espi:start>${seconds(first.start_utc)}</espi:start>
+        </espi:interval>
+${readings.join("\n")}
+      </espi:IntervalBlock>`
+      )
+    );
   });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:espi="http://naesb.org/espi">
+  <id>urn:uuid:${crypto.randomUUID()}</id>
+  <title>${escapeXml(describeExport())}</title>
+  <updated>${new Date().toISOString()}</updated>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
-async function clearAllRecords() {
-  const db = await openDatabase();
-  const transaction = db.transaction([STORE_NAME], "readwrite");
-  const store = transaction.objectStore(STORE_NAME);
+// Plot wraps the chart in a <figure> when it has a legend; the chart is the
+// last <svg>. The copy gets a title line above it.
+function chartSvgWithTitle() {
+  const chart = Array.from(elements.plot.querySelectorAll("svg")).at(-1);
+  if (!chart) return null;
+  const width = Number(chart.getAttribute("width"));
+  const height = Number(chart.getAttribute("height"));
+  const titleHeight = 28;
+  const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+  svg.setAttribute("width", width);
+  svg.setAttribute("height", height + titleHeight);
+  svg.setAttribute("viewBox", `0 0 ${width} ${height + titleHeight}`);
+  const background = document.createElementNS(svg.namespaceURI, "rect");
+  background.setAttribute("width", "100%");
+  background.setAttribute("height", "100%");
+  background.setAttribute("fill", "white");
+  const title = document.createElementNS(svg.namespaceURI, "text");
+  title.setAttribute("x", 12);
+  title.setAttribute("y", 19);
+  title.setAttribute("font-family", "system-ui, sans-serif");
+  title.setAttribute("font-size", 14);
+  title.textContent = describeExport();
+  const body = chart.cloneNode(true);
+  body.setAttribute("y", titleHeight);
+  svg.append(background, title, body);
+  return { svg, width, height: height + titleHeight };
+}
 
+function exportChartPng({ svg, width, height }) {
+  const scale = 2;
+  const url = URL.createObjectURL(
+    new Blob([new XMLSerializer().serializeToString(svg)], {
+      type: "image/svg+xml"
+    })
+  );
   return new Promise((resolve, reject) => {
-    const request = store.clear();
-
-    request.onsuccess = () => {
-      db.close();
-      resolve();
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error("Unable to render PNG."));
+          return;
+        }
+        downloadBlob(blob, exportFileName("png"));
+        resolve();
+      }, "image/png");
     };
-
-    request.onerror = () => {
-      db.close();
-      reject(request.error);
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Unable to render chart image."));
     };
+    image.src = url;
   });
 }
 
+async function onExport() {
+  const format = elements.exportFormat.value;
+  try {
+    if (format === "svg" || format === "png") {
+      const chart = chartSvgWithTitle();
+      if (!chart) throw new Error("There is no chart to export.");
+      if (format === "svg") {
+        downloadBlob(
+          new Blob([new XMLSerializer().serializeToString(chart.svg)], {
+            type: "image/svg+xml"
+          }),
+          exportFileName("svg")
+        );
+      } else {
+        await exportChartPng(chart);
+      }
+      return;
+    }
+    const rows = exportRows(
+      await runTask("intervals", {
+        services: selectedServices(state.services, state.serviceView),
+        startDate: state.startDate,
+        endDate: state.endDate
+      })
+    );
+    if (!rows.length) throw new Error("No data in the selected range.");
+    if (format === "csv") {
+      downloadBlob(
+        new Blob([csvFormat(rows)], { type: "text/csv" }),
+        exportFileName("csv")
+      );
+    } else if (format === "json") {
+      const payload = {
+        title: describeExport(),
+        timeZone: TIME_ZONE,
+        granularity: exportGranularity(),
+        gapMode: state.gapMode,
+        annotations: exportAnnotations(),
+        rows
+      };
+      downloadBlob(
+        new Blob([JSON.stringify(payload, null, 2)], {
+          type: "application/json"
+        }),
+        exportFileName("json")
+      );
+    } else if (format === "espi") {
+      downloadBlob(
+        new Blob([buildEspiXml(rows)], { type: "application/atom+xml" }),
+        exportFileName("xml")
+      );
+    }
+  } catch (error) {
+    console.error(error);
+    elements.status.textContent = `Failed to export: ${error.message}`;
+  }
+}
+
 async function onFilesSelected(event) {
   const files = event.target.files;
   if (!files || !files.length) return;
@@ -785,46 +4301,220 @@ async function onFilesSelected(event) {
   elements.status.textContent = `Loading ${files.length} file(s)...`;
 
   try {
-    await loadUsageData(files);
+    const report = await loadUsageData(files);
     clampDateInputs();
     initializeRangeSlider();
+    renderBillingSummary();
     updateChart();
+    renderImportReport(report);
+    if (report.every((entry) => entry.error)) {
+      elements.status.textContent = "No files could be imported; see the import report.";
+    }
   } catch (error) {
-    console.error(error);
-    elements.status.textContent = `Failed to load files: ${error.message}`;
+    if (error.cancelled) {
+      elements.status.textContent = "Import cancelled.";
+    } else {
+      console.error(error);
+      elements.status.textContent = `Failed to load files: ${error.message}`;
+    }
   }
 
   event.target.value = "";
 }
 
 async function onClearData() {
-  if (!confirm("Clear all stored data? This cannot be undone.")) {
+  if (!confirm("Clear all stored data? You can undo this for 30 seconds.")) {
     return;
   }
 
   try {
-    await clearAllRecords();
+    const { undoUntil } = await runTask("clear");
 
-    state.byGranularity["15min"] = [];
-    state.byGranularity.hourly = [];
-    state.byGranularity.daily = [];
+    state.byGranularity = emptyByGranularity();
+    state.services = [];
+    state.stacked = emptyByGranularity();
+    state.billingPeriods = [];
+    state.weatherDays = [];
+    state.imports = [];
+    state.reconciliation = [];
+    state.anomalies = [];
+    state.baseload = [];
+    state.noteAnnotations = [];
     state.availableDates = [];
+    state.rangeStops = [];
     state.startDate = null;
     state.endDate = null;
+    state.timeRange = null;
     state.rangeIndices.start = 0;
     state.rangeIndices.end = 0;
 
     elements.plot.replaceChildren();
+    elements.overview?.replaceChildren();
+    state.chart = null;
+    state.overview = null;
     elements.status.textContent = "Data cleared. Load CSV files to begin.";
     elements.start.value = "";
     elements.end.value = "";
+    populateServiceSelect();
     initializeRangeSlider();
+    renderBillingSummary();
+    renderWeatherPanel();
+    renderAnomalyPanel();
+    renderImportHistory();
+    renderAnnotations();
+    renderBudgetStatus();
+    showUndoClear(undoUntil);
   } catch (error) {
     console.error(error);
     elements.status.textContent = `Failed to clear data: ${error.message}`;
   }
 }
 
+let undoClearTimer = null;
+
+function showUndoClear(undoUntil) {
+  const { undoClearButton } = elements;
+  if (!undoClearButton) return;
+  undoClearButton.hidden = false;
+  clearTimeout(undoClearTimer);
+  undoClearTimer = setTimeout(hideUndoClear, undoUntil - Date.now());
+}
+
+function hideUndoClear() {
+  clearTimeout(undoClearTimer);
+  if (elements.undoClearButton) elements.undoClearButton.hidden = true;
+}
+
+async function onUndoClear() {
+  hideUndoClear();
+  try {
+    applySnapshot(await runTask("undoClear", { settings: workerSettings() }));
+    resetRange();
+    clampDateInputs();
+    initializeRangeSlider();
+    renderBillingSummary();
+    updateChart();
+  } catch (error) {
+    console.error(error);
+    elements.status.textContent = `Failed to undo: ${error.message}`;
+  }
+}
+
+async function onBackup() {
+  try {
+    const backup = await runTask("backup");
+    backup.settings = {
+      columnMappings: loadColumnMappings(),
+      savedViews: loadSavedViews(),
+      budget: state.budget
+    };
+    downloadBlob(
+      new Blob([JSON.stringify(backup)], { type: "application/json" }),
+      `electricity-usage-backup-${formatDateInZone(new Date())}.json`
+    );
+    elements.status.textContent = `Backed up ${backup.imports.length} import${
+      backup.imports.length === 1 ? "" : "s"
+    }, ${backup.ratePlans.length} rate plan${backup.ratePlans.length === 1 ? "" : "s"} and ${
+      backup.annotations.length
+    } annotation${backup.annotations.length === 1 ? "" : "s"}.`;
+  } catch (error) {
+    console.error(error);
+    elements.status.textContent = `Failed to back up data: ${error.message}`;
+  }
+}
+
+async function onRestoreSelected(event) {
+  const [file] = event.target.files ?? [];
+  if (!file) return;
+  const mode = elements.restoreMode?.value ?? "merge";
+  if (
+    mode === "replace" &&
+    !confirm(`Replace all stored data, rate plans and annotations with ${file.name}?`)
+  ) {
+    event.target.value = "";
+    return;
+  }
+
+  hideUndoClear();
+  try {
+    const { summary, settings, snapshot } = await runTask("restore", {
+      file,
+      mode,
+      settings: workerSettings()
+    });
+    const columnMappings = settings.columnMappings ?? {};
+    saveColumnMappings(
+      mode === "replace" ? columnMappings : { ...columnMappings, ...loadColumnMappings() }
+    );
+    const savedViews = (Array.isArray(settings.savedViews) ? settings.savedViews : []).filter(
+      (view) => typeof view?.name === "string" && typeof view.hash === "string"
+    );
+    const localViews = loadSavedViews();
+    const taken = new Set(localViews.map((view) => view.name));
+    saveSavedViews(
+      mode === "replace"
+        ? savedViews
+        : localViews
+            .concat(savedViews.filter((view) => !taken.has(view.name)))
+            .sort((a, b) => a.name.localeCompare(b.name))
+    );
+    const budget = normalizeBudget(settings.budget);
+    const hasBudget = (value) => value.monthly || value.dailyKWh || value.intervalKWh;
+    if (mode === "replace" || (!hasBudget(state.budget) && hasBudget(budget))) {
+      state.budget = budget;
+      saveBudget(budget);
+      showBudgetSettings();
+    }
+    setRatePlans(await loadRatePlans());
+    state.annotations = await loadAnnotations();
+    applySnapshot(snapshot);
+    resetRange();
+    clampDateInputs();
+    initializeRangeSlider();
+    renderBillingSummary();
+    updateChart();
+    elements.status.textContent = `Restored ${summary.imports} import${
+      summary.imports === 1 ? "" : "s"
+    } (${summary.rows} rows), ${summary.ratePlans} rate plan${
+      summary.ratePlans === 1 ? "" : "s"
+    } and ${summary.annotations} annotation${
+      summary.annotations === 1 ? "" : "s"
+    } from ${file.name}${
+      summary.skipped ? `; ${summary.skipped} already stored` : ""
+    }.`;
+  } catch (error) {
+    console.error(error);
+    elements.status.textContent = `Failed to restore backup: ${error.message}`;
+  } finally {
+    event.target.value = "";
+  }
+}
+
+
+async function onRemoveImport(entry) {
+  if (
+    !confirm(
+      `Remove ${entry.fileName} and its ${entry.rowCount} rows? Data it replaced from other imports comes back.`
+    )
+  ) {
+    return;
+  }
+
+  try {
+    applySnapshot(
+      await runTask("remove", { importId: entry.id, settings: workerSettings() })
+    );
+    resetRange();
+    clampDateInputs();
+    initializeRangeSlider();
+    renderBillingSummary();
+    updateChart();
+  } catch (error) {
+    console.error(error);
+    elements.status.textContent = `Failed to remove import: ${error.message}`;
+  }
+}
+
 function setupDragAndDrop() {
   const dragOverlay = document.getElementById("drag-overlay");
   let dragCounter = 0;
@@ -857,25 +4547,34 @@ function setupDragAndDrop() {
     const files = event.dataTransfer?.files;
     if (!files || !files.length) return;
 
-    const csvFiles = Array.from(files).filter((file) =>
-      file.name.toLowerCase().endsWith(".csv")
+    const csvFiles = Array.from(files).filter(
+      (file) => DATA_FILE_PATTERN.test(file.name) || /\.zip$/i.test(file.name)
     );
 
     if (csvFiles.length === 0) {
-      elements.status.textContent = "No CSV files found in dropped items.";
+      elements.status.textContent = "No CSV, XML or ZIP files found in dropped items.";
       return;
     }
 
     elements.status.textContent = `Loading ${csvFiles.length} file(s)...`;
 
     try {
-      await loadUsageData(csvFiles);
+      const report = await loadUsageData(csvFiles);
       clampDateInputs();
       initializeRangeSlider();
+      renderBillingSummary();
       updateChart();
+      renderImportReport(report);
+      if (report.every((entry) => entry.error)) {
+        elements.status.textContent = "No files could be imported; see the import report.";
+      }
     } catch (error) {
-      console.error(error);
-      elements.status.textContent = `Failed to load files: ${error.message}`;
+      if (error.cancelled) {
+        elements.status.textContent = "Import cancelled.";
+      } else {
+        console.error(error);
+        elements.status.textContent = `Failed to load files: ${error.message}`;
+      }
     }
   };
 
@@ -887,36 +4586,98 @@ function setupDragAndDrop() {
 
 async function init() {
   try {
-    const existingRecords = await loadAllRecords();
-
-    if (existingRecords.length > 0) {
-      const filled = fillMissingIntervals(existingRecords);
-      state.byGranularity["15min"] = filled;
-      state.byGranularity.hourly = aggregate(filled, "hourly");
-      state.byGranularity.daily = aggregate(filled, "daily");
-      state.availableDates = listAvailableDates(filled);
-      if (state.availableDates.length) {
-        state.rangeIndices.start = 0;
-        state.rangeIndices.end = state.availableDates.length - 1;
-        state.startDate = state.availableDates[0];
-        state.endDate = state.availableDates.at(-1);
+    worker.addEventListener("message", onWorkerMessage);
+    worker.addEventListener("error", onWorkerError);
+    elements.cancelTask?.addEventListener("click", onCancelTask);
+    let ratePlans = await loadRatePlans();
+    if (!ratePlans.length) {
+      for (const plan of DEFAULT_RATE_PLANS) {
+        await saveRatePlan(plan);
       }
-    } else {
+      ratePlans = await loadRatePlans();
+    }
+    setRatePlans(ratePlans);
+    state.annotations = await loadAnnotations();
+    state.budget = loadBudget();
+    showBudgetSettings();
+
+    const initialView = parseViewHash(location.hash);
+    applyViewSettings(initialView);
+    const snapshot = await runTask("load", { settings: workerSettings() });
+    applySnapshot(snapshot);
+    resetRange();
+    applyViewRange(initialView);
+    if (snapshot.undoClearUntil) {
+      elements.status.textContent = "Data cleared. Load CSV files to begin.";
+      showUndoClear(snapshot.undoClearUntil);
+    } else if (!state.services.length) {
       elements.status.textContent = "No data loaded. Use 'Load CSV files' to get started.";
     }
 
     clampDateInputs();
     initializeRangeSlider();
-    elements.granularity.value = state.granularity;
+    renderBillingSummary();
+    renderWeatherPanel();
+    showViewSettings();
     elements.granularity.addEventListener("change", onGranularityChange);
+    elements.loadProfile?.addEventListener("toggle", renderLoadProfile);
+    elements.weatherPanel?.addEventListener("toggle", renderWeatherPanel);
+    elements.anomalyPanel?.addEventListener("toggle", renderAnomalyPanel);
+    elements.profileGrouping?.addEventListener("change", onProfileGroupingChange);
+    elements.viewMode?.addEventListener("change", onViewModeChange);
+    elements.weekStart.value = String(state.weekStart);
+    elements.weekStart.addEventListener("change", onBucketOptionsChange);
+    elements.readDay.addEventListener("change", onBucketOptionsChange);
+    elements.serviceView?.addEventListener("change", onServiceViewChange);
+    elements.gapMode.value = state.gapMode;
+    elements.gapMode.addEventListener("change", onGapModeChange);
+    elements.rollingWindow?.addEventListener("change", onRollingChange);
+    elements.rollingStatistic?.addEventListener("change", onRollingChange);
+    elements.trendOverlay?.addEventListener("change", onTrendOverlayChange);
+    for (const input of elements.seriesInputs) {
+      input.addEventListener("change", onSeriesToggle);
+    }
     elements.start.addEventListener("change", onRangeChange);
     elements.end.addEventListener("change", onRangeChange);
+    if (elements.compareMode) {
+      elements.compareMode.value = state.compare.mode;
+      elements.compareMode.addEventListener("change", onCompareModeChange);
+      elements.compareStart.addEventListener("change", onCompareRangeChange);
+      elements.compareEnd.addEventListener("change", onCompareRangeChange);
+      updateCompareFields();
+    }
     elements.rangeStart?.addEventListener("input", onSliderChange);
     elements.rangeEnd?.addEventListener("input", onSliderChange);
     elements.fileInput?.addEventListener("change", onFilesSelected);
     elements.clearButton?.addEventListener("click", onClearData);
+    elements.undoClearButton?.addEventListener("click", onUndoClear);
+    elements.backupButton?.addEventListener("click", onBackup);
+    elements.restoreInput?.addEventListener("change", onRestoreSelected);
+    populateSavedViews();
+    elements.savedView?.addEventListener("change", onSavedViewChange);
+    elements.saveViewButton?.addEventListener("click", onSaveView);
+    elements.deleteViewButton?.addEventListener("click", onDeleteView);
+    window.addEventListener("hashchange", onHashChange);
+    elements.exportButton?.addEventListener("click", onExport);
+    elements.ratePlan?.addEventListener("change", onRatePlanChange);
+    elements.comparePlan?.addEventListener("change", onComparePlanChange);
+    elements.savePlanButton?.addEventListener("click", onSavePlan);
+    elements.duplicatePlanButton?.addEventListener("click", onDuplicatePlan);
+    elements.deletePlanButton?.addEventListener("click", onDeletePlan);
+    for (const input of [
+      elements.budgetAmount,
+      elements.budgetUnit,
+      elements.dayThreshold,
+      elements.intervalThreshold
+    ]) {
+      input?.addEventListener("change", onBudgetChange);
+    }
+    elements.annotationForm?.addEventListener("submit", onAnnotationSubmit);
+    elements.cancelAnnotationButton?.addEventListener("click", onCancelAnnotation);
+    elements.showFileNotes?.addEventListener("change", onShowFileNotesChange);
 
     setupDragAndDrop();
+    setupZoom();
 
     const darkModeQuery = window.matchMedia?.("(prefers-color-scheme: dark)");
     const themeListener = () => updateSliderBackgrounds();
@@ -928,7 +4689,7 @@ async function init() {
       }
     }
 
-    if (existingRecords.length > 0) {
+    if (state.services.length) {
       updateChart();
     }
   } catch (error) {
@@ -0,0 +1,877 @@
+import {
+  DEFAULT_SERVICE,
+  TIME_ZONE,
+  createImportEntry,
+  tallyImportRow,
+  validateAnnotation,
+  validateRatePlan,
+  zonedDateTimeToDate
+} from "./usage.js";
+
+const DB_NAME = "scl-usage-data";
+const STORE_NAME = "intervals";
+const BILLING_STORE_NAME = "billing";
+const RATE_PLAN_STORE_NAME = "ratePlans";
+const WEATHER_STORE_NAME = "weather";
+const IMPORT_STORE_NAME = "imports";
+const ANNOTATION_STORE_NAME = "annotations";
+const PENDING_CLEAR_STORE_NAME = "pendingClear";
+const PENDING_CLEAR_ID = 1;
+const BACKUP_FORMAT = "electricity-usage-backup";
+// Version 2 added annotations.
+const BACKUP_VERSION = 2;
+
+// Every import keeps its own copy of the rows it brought in, so removing an
+// import brings back whatever it had replaced. The date index is what range
+// queries read; billing periods are filed under their start date.
+const IMPORTED_STORES = {
+  [STORE_NAME]: {
+    keyPath: ["service", "timestampKey", "importId"],
+    indexes: { importId: "importId", date: "date", service: "service", source: "source" }
+  },
+  [BILLING_STORE_NAME]: {
+    keyPath: ["periodKey", "importId"],
+    indexes: {
+      importId: "importId",
+      date: "startDate",
+      service: "service",
+      source: "source"
+    }
+  },
+  [WEATHER_STORE_NAME]: {
+    keyPath: ["date", "importId"],
+    indexes: { importId: "importId", date: "date", source: "source" }
+  }
+};
+
+const KIND_STORE_NAMES = {
+  usage: STORE_NAME,
+  billing: BILLING_STORE_NAME,
+  weather: WEATHER_STORE_NAME
+};
+
+const STORED_ROW_KEYS = {
+  usage: (record) => [record.service, record.timestamp.getTime(), record.importId],
+  billing: (period) => [period.periodKey, period.importId],
+  weather: (day) => [day.date, day.importId]
+};
+
+function createImportedStore(db, name) {
+  const store = db.createObjectStore(name, { keyPath: IMPORTED_STORES[name].keyPath });
+  addMissingIndexes(store, name);
+  return store;
+}
+
+function addMissingIndexes(store, name) {
+  for (const [index, keyPath] of Object.entries(IMPORTED_STORES[name].indexes)) {
+    if (!store.indexNames.contains(index)) {
+      store.createIndex(index, keyPath);
+    }
+  }
+}
+
+function createKeyedStore(db, name, keyPath) {
+  if (!db.objectStoreNames.contains(name)) {
+    db.createObjectStore(name, { keyPath });
+  }
+}
+
+function createListStore(db, name) {
+  if (!db.objectStoreNames.contains(name)) {
+    db.createObjectStore(name, { keyPath: "id", autoIncrement: true });
+  }
+}
+
+function addIntervalService(record) {
+  return { ...record, service: record.service ?? DEFAULT_SERVICE };
+}
+
+function normalizeLegacyPeriod(period) {
+  const service = period.service ?? DEFAULT_SERVICE;
+  return {
+    ...period,
+    service,
+    periodKey: `${service}_${period.startDate}_${period.endDate}`
+  };
+}
+
+// Before version 5, local times were converted with the UTC offset of the
+// wrong instant, and the offset lookup read local midnight as hour 24, so
+// readings on DST days and at 7 or 8 AM were stored under the wrong
+// timestamp. The stored local date and start time are still correct.
+function recomputeIntervalTimestamp(record) {
+  return {
+    ...record,
+    timestampKey: zonedDateTimeToDate(
+      record.date,
+      record.startTime,
+      TIME_ZONE,
+      record.fold ? "later" : "earlier"
+    ).getTime(),
+    fold: record.fold ?? 0
+  };
+}
+
+// The row changes of every step after oldVersion, in order.
+function legacyRowChanges(name, oldVersion) {
+  const changes = MIGRATIONS.filter((step) => step.version > oldVersion && step.rows?.[name])
+    .map((step) => step.rows[name]);
+  return (row) => changes.reduce((changed, change) => change(changed), row);
+}
+
+// Rows stored before version 7 are grouped by source file into import log
+// entries with no import time, so any new import of the same dates wins.
+// Each store is copied into its new layout once, with the row changes of
+// the versions it skipped applied on the way.
+function createImportLog(db, transaction, oldVersion) {
+  if (!db.objectStoreNames.contains(IMPORT_STORE_NAME)) {
+    db.createObjectStore(IMPORT_STORE_NAME, {
+      keyPath: "id",
+      autoIncrement: true
+    });
+  }
+  const imports = transaction.objectStore(IMPORT_STORE_NAME);
+  const entries = new Map();
+  const importIdFor = (kind, row, dates) => {
+    const key = `${kind}|${row.source}`;
+    if (!entries.has(key)) {
+      entries.set(key, {
+        ...createImportEntry(row.source ?? "Unknown file", kind, "Earlier import"),
+        id: entries.size + 1,
+        importedAt: 0
+      });
+    }
+    const entry = entries.get(key);
+    tallyImportRow(entry, row.service, dates);
+    entry.addedCount += 1;
+    return entry.id;
+  };
+  const rewrite = (name, kind, datesOf) => {
+    if (!db.objectStoreNames.contains(name)) {
+      createImportedStore(db, name);
+      return;
+    }
+    const normalize = legacyRowChanges(name, oldVersion);
+    const request = transaction.objectStore(name).getAll();
+    request.onsuccess = () => {
+      db.deleteObjectStore(name);
+      const store = createImportedStore(db, name);
+      for (const row of request.result) {
+        const normalized = normalize(row);
+        store.put({
+          ...normalized,
+          importId: importIdFor(kind, normalized, datesOf(normalized))
+        });
+      }
+      for (const entry of entries.values()) {
+        imports.put(entry);
+      }
+    };
+  };
+
+  rewrite(STORE_NAME, "usage", (record) => [record.date]);
+  rewrite(BILLING_STORE_NAME, "billing", (period) => [period.startDate, period.endDate]);
+  rewrite(WEATHER_STORE_NAME, "weather", (day) => [day.date]);
+}
+
+function addLookupIndexes(db, transaction) {
+  for (const name of Object.keys(IMPORTED_STORES)) {
+    addMissingIndexes(transaction.objectStore(name), name);
+  }
+}
+
+// Schema changes in order, one step per version after the first, which
+// only had the intervals store. Each step runs once, inside the upgrade
+// transaction, for databases older than its version. Steps with `rows`
+// change stored rows rather than the schema; version 7 applies them while
+// it copies each store into its per-import layout.
+const MIGRATIONS = [
+  {
+    version: 2,
+    upgrade: (db) => createKeyedStore(db, BILLING_STORE_NAME, "periodKey")
+  },
+  { version: 3, upgrade: (db) => createListStore(db, RATE_PLAN_STORE_NAME) },
+  {
+    version: 4,
+    rows: { [STORE_NAME]: addIntervalService, [BILLING_STORE_NAME]: normalizeLegacyPeriod }
+  },
+  { version: 5, rows: { [STORE_NAME]: recomputeIntervalTimestamp } },
+  { version: 6, upgrade: (db) => createKeyedStore(db, WEATHER_STORE_NAME, "date") },
+  { version: 7, upgrade: createImportLog },
+  { version: 8, upgrade: addLookupIndexes },
+  { version: 9, upgrade: (db) => createListStore(db, ANNOTATION_STORE_NAME) },
+  { version: 10, upgrade: (db) => createKeyedStore(db, PENDING_CLEAR_STORE_NAME, "id") }
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+async function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      for (const { version, upgrade } of MIGRATIONS) {
+        if (event.oldVersion < version) {
+          upgrade?.(db, request.transaction, event.oldVersion);
+        }
+      }
+    };
+  });
+}
+
+function dateRange(startDate, endDate) {
+  if (startDate && endDate) return IDBKeyRange.bound(startDate, endDate);
+  if (startDate) return IDBKeyRange.lowerBound(startDate);
+  if (endDate) return IDBKeyRange.upperBound(endDate);
+  return null;
+}
+
+export async function saveRecords(records) {
+  const db = await openDatabase();
+  const transaction = db.transaction([STORE_NAME], "readwrite");
+  const store = transaction.objectStore(STORE_NAME);
+
+  for (const record of records) {
+    const timestampKey = record.timestamp.getTime();
+    store.put({ ...record, timestampKey });
+  }
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+// Reads the stored rows of every import for local dates between startDate
+// and endDate (inclusive); either bound can be left out.
+export async function loadRecords({ startDate, endDate } = {}) {
+  const db = await openDatabase();
+  const transaction = db.transaction([STORE_NAME], "readonly");
+  const index = transaction.objectStore(STORE_NAME).index("date");
+
+  return new Promise((resolve, reject) => {
+    const request = index.getAll(dateRange(startDate, endDate));
+
+    request.onsuccess = () => {
+      db.close();
+      const records = request.result.map((record) => ({
+        timestamp: new Date(record.timestampKey),
+        date: record.date,
+        startTime: record.startTime,
+        fold: record.fold ?? 0,
+        importKWh: record.importKWh,
+        exportKWh: record.exportKWh ?? 0,
+        service: record.service,
+        source: record.source,
+        synthetic: record.synthetic,
+        ...(record.note ? { note: record.note } : {}),
+        importId: record.importId
+      }));
+      records.sort((a, b) => a.timestamp - b.timestamp);
+      resolve(records);
+    };
+
+    request.onerror = () => {
+      db.close();
+      reject(request.error);
+    };
+  });
+}
+
+// The first and last dates in the intervals date index, or null when no
+// intervals are stored.
+export async function loadRecordDateBounds() {
+  const db = await openDatabase();
+  const transaction = db.transaction([STORE_NAME], "readonly");
+  const index = transaction.objectStore(STORE_NAME).index("date");
+  const firstKey = (direction) =>
+    new Promise((resolve, reject) => {
+      const request = index.openKeyCursor(null, direction);
+      request.onsuccess = () => resolve(request.result?.key ?? null);
+      request.onerror = () => reject(request.error);
+    });
+
+  try {
+    const [startDate, endDate] = await Promise.all([firstKey("next"), firstKey("prev")]);
+    return startDate === null ? null : { startDate, endDate };
+  } finally {
+    db.close();
+  }
+}
+
+export async function saveBillingPeriods(periods) {
+  const db = await openDatabase();
+  const transaction = db.transaction([BILLING_STORE_NAME], "readwrite");
+  const store = transaction.objectStore(BILLING_STORE_NAME);
+
+  for (const period of periods) {
+    store.put(period);
+  }
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+export async function loadBillingPeriods({ startDate, endDate } = {}) {
+  const db = await openDatabase();
+  const transaction = db.transaction([BILLING_STORE_NAME], "readonly");
+  const index = transaction.objectStore(BILLING_STORE_NAME).index("date");
+
+  return new Promise((resolve, reject) => {
+    const request = index.getAll(dateRange(startDate, endDate));
+
+    request.onsuccess = () => {
+      db.close();
+      const periods = request.result.slice();
+      periods.sort((a, b) => a.startDate.localeCompare(b.startDate));
+      resolve(periods);
+    };
+
+    request.onerror = () => {
+      db.close();
+      reject(request.error);
+    };
+  });
+}
+
+export async function saveWeatherDays(days) {
+  const db = await openDatabase();
+  const transaction = db.transaction([WEATHER_STORE_NAME], "readwrite");
+  const store = transaction.objectStore(WEATHER_STORE_NAME);
+
+  for (const day of days) {
+    store.put(day);
+  }
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+export async function loadWeatherDays({ startDate, endDate } = {}) {
+  const db = await openDatabase();
+  const transaction = db.transaction([WEATHER_STORE_NAME], "readonly");
+  const index = transaction.objectStore(WEATHER_STORE_NAME).index("date");
+
+  return new Promise((resolve, reject) => {
+    const request = index.getAll(dateRange(startDate, endDate));
+
+    request.onsuccess = () => {
+      db.close();
+      const days = request.result.slice();
+      days.sort((a, b) => a.date.localeCompare(b.date));
+      resolve(days);
+    };
+
+    request.onerror = () => {
+      db.close();
+      reject(request.error);
+    };
+  });
+}
+
+export async function saveImport(entry) {
+  const db = await openDatabase();
+  const transaction = db.transaction([IMPORT_STORE_NAME], "readwrite");
+  const request = transaction.objectStore(IMPORT_STORE_NAME).put(entry);
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+export async function loadImports() {
+  const db = await openDatabase();
+  const transaction = db.transaction([IMPORT_STORE_NAME], "readonly");
+  const store = transaction.objectStore(IMPORT_STORE_NAME);
+
+  return new Promise((resolve, reject) => {
+    const request = store.getAll();
+
+    request.onsuccess = () => {
+      db.close();
+      resolve(request.result);
+    };
+
+    request.onerror = () => {
+      db.close();
+      reject(request.error);
+    };
+  });
+}
+
+export async function deleteImport(id) {
+  const db = await openDatabase();
+  const storeNames = [STORE_NAME, BILLING_STORE_NAME, WEATHER_STORE_NAME];
+  const transaction = db.transaction(
+    [...storeNames, IMPORT_STORE_NAME],
+    "readwrite"
+  );
+  for (const name of storeNames) {
+    const request = transaction
+      .objectStore(name)
+      .index("importId")
+      .openCursor(IDBKeyRange.only(id));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+  }
+  transaction.objectStore(IMPORT_STORE_NAME).delete(id);
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+// Deletes one import's copies of the given rows, for files imported again
+// without some of the rows they had before.
+export async function deleteImportedRows(kind, rows) {
+  const db = await openDatabase();
+  const name = KIND_STORE_NAMES[kind];
+  const transaction = db.transaction([name], "readwrite");
+  const store = transaction.objectStore(name);
+
+  for (const row of rows) {
+    store.delete(STORED_ROW_KEYS[kind](row));
+  }
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+export async function loadRatePlans() {
+  const db = await openDatabase();
+  const transaction = db.transaction([RATE_PLAN_STORE_NAME], "readonly");
+  const store = transaction.objectStore(RATE_PLAN_STORE_NAME);
+
+  return new Promise((resolve, reject) => {
+    const request = store.getAll();
+
+    request.onsuccess = () => {
+      db.close();
+      resolve(request.result);
+    };
+
+    request.onerror = () => {
+      db.close();
+      reject(request.error);
+    };
+  });
+}
+
+export async function saveRatePlan(plan) {
+  const db = await openDatabase();
+  const transaction = db.transaction([RATE_PLAN_STORE_NAME], "readwrite");
+  const store = transaction.objectStore(RATE_PLAN_STORE_NAME);
+  const { id, ...definition } = plan;
+  const request = store.put(id === undefined ? definition : plan);
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+export async function deleteRatePlan(id) {
+  const db = await openDatabase();
+  const transaction = db.transaction([RATE_PLAN_STORE_NAME], "readwrite");
+  transaction.objectStore(RATE_PLAN_STORE_NAME).delete(id);
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+export async function loadAnnotations() {
+  const db = await openDatabase();
+  const transaction = db.transaction([ANNOTATION_STORE_NAME], "readonly");
+  const store = transaction.objectStore(ANNOTATION_STORE_NAME);
+
+  return new Promise((resolve, reject) => {
+    const request = store.getAll();
+
+    request.onsuccess = () => {
+      db.close();
+      resolve(request.result);
+    };
+
+    request.onerror = () => {
+      db.close();
+      reject(request.error);
+    };
+  });
+}
+
+export async function saveAnnotation(annotation) {
+  const db = await openDatabase();
+  const transaction = db.transaction([ANNOTATION_STORE_NAME], "readwrite");
+  const store = transaction.objectStore(ANNOTATION_STORE_NAME);
+  const { id, ...definition } = annotation;
+  const request = store.put(id === undefined ? definition : annotation);
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+export async function deleteAnnotation(id) {
+  const db = await openDatabase();
+  const transaction = db.transaction([ANNOTATION_STORE_NAME], "readwrite");
+  transaction.objectStore(ANNOTATION_STORE_NAME).delete(id);
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+// A Clear data that can still be undone is recorded with the time its undo
+// period ends; the rows stay stored until clearAllRecords runs.
+export async function loadPendingClear() {
+  const db = await openDatabase();
+  const transaction = db.transaction([PENDING_CLEAR_STORE_NAME], "readonly");
+  const store = transaction.objectStore(PENDING_CLEAR_STORE_NAME);
+
+  return new Promise((resolve, reject) => {
+    const request = store.get(PENDING_CLEAR_ID);
+
+    request.onsuccess = () => {
+      db.close();
+      resolve(request.result?.undoUntil ?? null);
+    };
+
+    request.onerror = () => {
+      db.close();
+      reject(request.error);
+    };
+  });
+}
+
+export async function savePendingClear(undoUntil) {
+  const db = await openDatabase();
+  const transaction = db.transaction([PENDING_CLEAR_STORE_NAME], "readwrite");
+  transaction.objectStore(PENDING_CLEAR_STORE_NAME).put({ id: PENDING_CLEAR_ID, undoUntil });
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+export async function deletePendingClear() {
+  const db = await openDatabase();
+  const transaction = db.transaction([PENDING_CLEAR_STORE_NAME], "readwrite");
+  transaction.objectStore(PENDING_CLEAR_STORE_NAME).delete(PENDING_CLEAR_ID);
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+export async function clearAllRecords() {
+  const db = await openDatabase();
+  const transaction = db.transaction(
+    [
+      STORE_NAME,
+      BILLING_STORE_NAME,
+      WEATHER_STORE_NAME,
+      IMPORT_STORE_NAME,
+      PENDING_CLEAR_STORE_NAME
+    ],
+    "readwrite"
+  );
+  transaction.objectStore(STORE_NAME).clear();
+  transaction.objectStore(BILLING_STORE_NAME).clear();
+  transaction.objectStore(WEATHER_STORE_NAME).clear();
+  transaction.objectStore(IMPORT_STORE_NAME).clear();
+  transaction.objectStore(PENDING_CLEAR_STORE_NAME).clear();
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+// Backups hold the stored rows as they are in IndexedDB, so restoring one
+// doesn't go through the parsers again.
+export async function exportBackup() {
+  const db = await openDatabase();
+  const names = [
+    IMPORT_STORE_NAME,
+    STORE_NAME,
+    BILLING_STORE_NAME,
+    WEATHER_STORE_NAME,
+    RATE_PLAN_STORE_NAME,
+    ANNOTATION_STORE_NAME
+  ];
+  const transaction = db.transaction(names, "readonly");
+  const requests = Object.fromEntries(
+    names.map((name) => [name, transaction.objectStore(name).getAll()])
+  );
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        schemaVersion: DB_VERSION,
+        createdAt: new Date().toISOString(),
+        imports: requests[IMPORT_STORE_NAME].result,
+        intervals: requests[STORE_NAME].result,
+        billing: requests[BILLING_STORE_NAME].result,
+        weather: requests[WEATHER_STORE_NAME].result,
+        ratePlans: requests[RATE_PLAN_STORE_NAME].result,
+        annotations: requests[ANNOTATION_STORE_NAME].result
+      });
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+const BACKUP_ROW_CHECKS = {
+  intervals: (record) =>
+    typeof record.service === "string" &&
+    Number.isFinite(record.timestampKey) &&
+    typeof record.date === "string" &&
+    typeof record.startTime === "string" &&
+    Number.isFinite(record.importKWh),
+  billing: (period) =>
+    typeof period.periodKey === "string" &&
+    typeof period.startDate === "string" &&
+    typeof period.endDate === "string",
+  weather: (day) => typeof day.date === "string"
+};
+
+export function validateBackup(backup) {
+  if (!backup || typeof backup !== "object" || backup.format !== BACKUP_FORMAT) {
+    throw new Error("This file isn't an electricity usage backup.");
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    throw new Error(`Backup version ${backup.version} isn't supported by this page.`);
+  }
+  if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion > DB_VERSION) {
+    throw new Error("This backup was made by a newer version of this page.");
+  }
+  // Version 1 backups were made before annotations existed.
+  if (backup.version < 2) backup.annotations = [];
+  for (const name of [
+    "imports",
+    "ratePlans",
+    "annotations",
+    ...Object.keys(BACKUP_ROW_CHECKS)
+  ]) {
+    if (!Array.isArray(backup[name])) {
+      throw new Error(`The backup has no ${name} list.`);
+    }
+  }
+  const importIds = new Set();
+  backup.imports.forEach((entry, index) => {
+    if (
+      !Number.isInteger(entry?.id) ||
+      typeof entry.fileName !== "string" ||
+      !(entry.kind in KIND_STORE_NAMES)
+    ) {
+      throw new Error(`Import ${index + 1} in the backup is not valid.`);
+    }
+    importIds.add(entry.id);
+  });
+  for (const [name, isValid] of Object.entries(BACKUP_ROW_CHECKS)) {
+    backup[name].forEach((row, index) => {
+      if (!row || !isValid(row) || !importIds.has(row.importId)) {
+        throw new Error(`Row ${index + 1} of ${name} in the backup is not valid.`);
+      }
+    });
+  }
+  backup.ratePlans.forEach((plan) => validateRatePlan(plan));
+  backup.annotations = backup.annotations.map((annotation) => validateAnnotation(annotation));
+}
+
+function annotationIdentity(annotation) {
+  const { startDate, startTime, endDate, endTime, label } = annotation;
+  return `${startDate}|${startTime}|${endDate}|${endTime}|${label}`;
+}
+
+function importIdentity(entry) {
+  return `${entry.fileName}|${entry.kind}|${entry.format}|${entry.importedAt}`;
+}
+
+// Replacing clears every store first. Merging gives the backup's imports new
+// ids, skips imports that are already stored, rate plans whose name is taken
+// and annotations that are already there, and lets the usual import ranking
+// pick winners between the two.
+export async function restoreBackup(backup, mode) {
+  const db = await openDatabase();
+  const rowStores = {
+    intervals: STORE_NAME,
+    billing: BILLING_STORE_NAME,
+    weather: WEATHER_STORE_NAME
+  };
+  const names = [
+    ...Object.values(rowStores),
+    IMPORT_STORE_NAME,
+    RATE_PLAN_STORE_NAME,
+    ANNOTATION_STORE_NAME
+  ];
+  const transaction = db.transaction(names, "readwrite");
+  const imports = transaction.objectStore(IMPORT_STORE_NAME);
+  const plans = transaction.objectStore(RATE_PLAN_STORE_NAME);
+  const annotations = transaction.objectStore(ANNOTATION_STORE_NAME);
+  const summary = { imports: 0, skipped: 0, rows: 0, ratePlans: 0, annotations: 0 };
+
+  if (mode === "replace") {
+    for (const name of names) {
+      transaction.objectStore(name).clear();
+    }
+  }
+  const storedImports = imports.getAll();
+  const storedPlans = plans.getAll();
+  const storedAnnotations = annotations.getAll();
+  storedAnnotations.onsuccess = () => {
+    const known = new Set(storedImports.result.map(importIdentity));
+    let nextId = storedImports.result.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+    const importIds = new Map();
+    for (const entry of backup.imports) {
+      if (known.has(importIdentity(entry))) {
+        summary.skipped += 1;
+        continue;
+      }
+      const id = mode === "replace" ? entry.id : nextId++;
+      importIds.set(entry.id, id);
+      imports.put({ ...entry, id });
+      summary.imports += 1;
+    }
+    for (const [name, storeName] of Object.entries(rowStores)) {
+      const store = transaction.objectStore(storeName);
+      for (const row of backup[name]) {
+        if (!importIds.has(row.importId)) continue;
+        store.put({ ...row, importId: importIds.get(row.importId) });
+        summary.rows += 1;
+      }
+    }
+    const planNames = new Set(storedPlans.result.map((plan) => plan.name));
+    for (const plan of backup.ratePlans) {
+      if (planNames.has(plan.name)) continue;
+      const { id, ...definition } = plan;
+      plans.put(mode === "replace" && id !== undefined ? plan : definition);
+      summary.ratePlans += 1;
+    }
+    const knownAnnotations = new Set(storedAnnotations.result.map(annotationIdentity));
+    for (const annotation of backup.annotations) {
+      if (knownAnnotations.has(annotationIdentity(annotation))) continue;
+      const { id, ...definition } = annotation;
+      annotations.put(mode === "replace" && id !== undefined ? annotation : definition);
+      summary.annotations += 1;
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(summary);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
@@ -0,0 +1,1522 @@
+import { csvParse, csvParseRows } from "https://cdn.jsdelivr.net/npm/d3-dsv@3/+esm";
+
+export const TIME_ZONE = "America/Los_Angeles";
+export const FIFTEEN_MINUTES = 15 * 60 * 1000;
+export const ONE_HOUR = 60 * 60 * 1000;
+const BILLING_TOLERANCE_KWH = 1;
+const BILLING_TOLERANCE_RATIO = 0.02;
+const RATE_PLAN_TYPES = ["flat", "tiered", "tou"];
+const TOU_DAYS = ["all", "weekdays", "weekends"];
+export const GRANULARITIES = ["15min", "hourly", "daily", "weekly", "monthly", "billing"];
+export const INTRADAY_GRANULARITIES = ["15min", "hourly"];
+export const DEFAULT_SERVICE = "default";
+export const DATA_FILE_PATTERN = /\.(csv|xml)$/i;
+
+const SCL_FILENAME_PATTERN =
+  /^scl_electric_(?:usage_interval_data|billing_billing_data)_([^_]+)_([^_]+)_(.+)_to_(.+)\.csv$/i;
+
+const CSV_HEADERS = {
+  usage: "TYPE,DATE,START TIME,END TIME,IMPORT (kWh)",
+  billing: "TYPE,START DATE,END DATE,USAGE (kWh),COST"
+};
+
+const WEATHER_TEMPERATURE_COLUMNS = [
+  "TAVG",
+  "TMAX",
+  "TMIN",
+  "HourlyDryBulbTemperature"
+];
+
+// Robust z-score above which a reading counts as anomalous, and the smallest
+// absolute deviation worth flagging so flat overnight hours don't trip it.
+const ANOMALY_Z_THRESHOLD = 3.5;
+const ANOMALY_MIN_KWH = { hour: 0.25, day: 2 };
+export const BASELOAD_END_TIME = "05:00";
+export const BASELOAD_ROLLING_DAYS = 7;
+
+const dateFormatter = new Intl.DateTimeFormat("en-CA", {
+  timeZone: TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit"
+});
+
+const timeFormatter = new Intl.DateTimeFormat("en-GB", {
+  timeZone: TIME_ZONE,
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23"
+});
+
+const tzFormatters = new Map();
+
+export function emptyByGranularity() {
+  return Object.fromEntries(GRANULARITIES.map((granularity) => [granularity, []]));
+}
+
+export function getDateTimeFormat(timeZone) {
+  if (tzFormatters.has(timeZone)) return tzFormatters.get(timeZone);
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    calendar: "iso8601",
+    numberingSystem: "latn",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23"
+  });
+  tzFormatters.set(timeZone, formatter);
+  return formatter;
+}
+
+export function tzOffset(date, timeZone) {
+  const dtf = getDateTimeFormat(timeZone);
+  const parts = dtf.formatToParts(date);
+  const values = {};
+  for (const part of parts) {
+    if (part.type !== "literal") {
+      values[part.type] = Number(part.value);
+    }
+  }
+  const zonedTime = Date.UTC(
+    values.year,
+    values.month - 1,
+    values.day,
+    values.hour,
+    values.minute,
+    values.second
+  );
+  return (zonedTime - date.getTime()) / 60000;
+}
+
+// Finds every instant whose wall-clock time in `timeZone` is the given local
+// date and time. Local times in the fall-back hour have two candidates
+// ("ambiguous"); local times skipped by spring-forward have none
+// ("nonexistent"), in which case `shifted` is the instant the clock reads
+// after jumping forward.
+export function resolveZonedDateTime(dateStr, timeStr, timeZone = TIME_ZONE) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const [hour, minute] = timeStr.split(":").map(Number);
+  const base = Date.UTC(year, month - 1, day, hour, minute, 0, 0);
+  const offsetBefore = tzOffset(new Date(base - 86_400_000), timeZone);
+  const offsetAfter = tzOffset(new Date(base + 86_400_000), timeZone);
+  const candidates = [];
+  for (const offset of new Set([offsetBefore, offsetAfter])) {
+    const instant = new Date(base - offset * 60_000);
+    if (tzOffset(instant, timeZone) === offset) candidates.push(instant);
+  }
+  candidates.sort((a, b) => a - b);
+  if (candidates.length === 0) {
+    return {
+      status: "nonexistent",
+      candidates,
+      shifted: new Date(base - offsetBefore * 60_000)
+    };
+  }
+  return {
+    status: candidates.length > 1 ? "ambiguous" : "ok",
+    candidates
+  };
+}
+
+export function zonedDateTimeToDate(
+  dateStr,
+  timeStr,
+  timeZone = TIME_ZONE,
+  disambiguation = "earlier"
+) {
+  const resolved = resolveZonedDateTime(dateStr, timeStr, timeZone);
+  if (resolved.status === "nonexistent") {
+    if (disambiguation === "reject") {
+      throw new Error(`${dateStr} ${timeStr} does not exist in ${timeZone}.`);
+    }
+    return resolved.shifted;
+  }
+  if (resolved.status === "ambiguous" && disambiguation === "reject") {
+    throw new Error(`${dateStr} ${timeStr} is ambiguous in ${timeZone}.`);
+  }
+  return disambiguation === "later"
+    ? resolved.candidates.at(-1)
+    : resolved.candidates[0];
+}
+
+// 1 for instants in the second occurrence of a repeated (fall-back) local
+// hour, 0 otherwise.
+function foldOf(date) {
+  const resolved = resolveZonedDateTime(
+    formatDateInZone(date),
+    formatTimeInZone(date)
+  );
+  return resolved.status === "ambiguous" &&
+    resolved.candidates[1].getTime() === date.getTime()
+    ? 1
+    : 0;
+}
+
+const dayLengths = new Map();
+
+export function hoursInDay(dateStr) {
+  if (dayLengths.has(dateStr)) return dayLengths.get(dateStr);
+  const start = zonedDateTimeToDate(dateStr, "00:00");
+  const end = zonedDateTimeToDate(addDays(dateStr, 1), "00:00");
+  const hours = Math.round((end - start) / ONE_HOUR);
+  dayLengths.set(dateStr, hours);
+  return hours;
+}
+
+export function stripBom(text) {
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+function parseMetadata(lines) {
+  const metadata = {};
+  for (const line of lines) {
+    const separator = line.indexOf(",");
+    if (separator === -1) continue;
+    const key = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim().replace(/^"(.*)"$/, "$1");
+    if (key) metadata[key] = value;
+  }
+  return metadata;
+}
+
+// NOAA exports quote every column and vary in which ones they include, so
+// they're recognized by a DATE column next to any temperature column.
+function isWeatherHeader(line) {
+  const columns = line.split(",").map((column) => column.trim().replace(/^"(.*)"$/, "$1"));
+  return (
+    columns.includes("DATE") &&
+    columns.some((column) => WEATHER_TEMPERATURE_COLUMNS.includes(column))
+  );
+}
+
+export function locateHeader(text, matches) {
+  const lines = text.split(/\r?\n/);
+  const headerIndex = lines.findIndex(matches);
+  if (headerIndex === -1) return null;
+  return {
+    csvText: lines.slice(headerIndex).join("\n"),
+    metadata: parseMetadata(lines.slice(0, headerIndex))
+  };
+}
+
+function detectService(fileName, metadata = {}) {
+  const match = SCL_FILENAME_PATTERN.exec(fileName);
+  if (match) return match[1];
+  return metadata["Service"] || DEFAULT_SERVICE;
+}
+
+function parseUsageRows(csvText, source, service = DEFAULT_SERVICE) {
+  const seenAmbiguous = new Set();
+  const rows = csvParse(csvText, (row) => {
+    const date = row["DATE"];
+    const startTime = row["START TIME"];
+    if (!date || !startTime) return null;
+    const resolved = resolveZonedDateTime(date, startTime);
+    // A reading can't start at a wall time the clocks skipped.
+    if (resolved.status === "nonexistent") return null;
+    // SCL files list the fall-back 01:xx block once; files that repeat it
+    // get the second occurrence mapped to the later instant.
+    let fold = 0;
+    if (resolved.status === "ambiguous") {
+      const key = `${date}T${startTime}`;
+      fold = seenAmbiguous.has(key) ? 1 : 0;
+      seenAmbiguous.add(key);
+    }
+    const importValue = Number.parseFloat(row["IMPORT (kWh)"]);
+    // A blank or unreadable reading is left to gap filling rather than taken
+    // as 0 kWh, but still counts as the first of a repeated pair above.
+    if (!Number.isFinite(importValue)) return null;
+    const exportValue = Number.parseFloat(row["EXPORT (kWh)"]);
+    const note = row["NOTES"]?.trim();
+    return {
+      timestamp: resolved.candidates[fold],
+      date,
+      startTime,
+      fold,
+      importKWh: importValue,
+      exportKWh: Number.isFinite(exportValue) ? exportValue : 0,
+      service,
+      source,
+      synthetic: false,
+      ...(note ? { note } : {})
+    };
+  });
+  return rows.filter(Boolean).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Accepts NOAA daily summaries (TAVG, or the midpoint of TMAX and TMIN) and
+// hourly local climatological data, which is averaged into days. Temperatures
+// are in °F.
+function parseWeatherRows(csvText, source) {
+  const readings = new Map();
+  csvParse(csvText, (row) => {
+    const date = row["DATE"]?.slice(0, 10);
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+    let tempF = Number.parseFloat(row["TAVG"]);
+    if (!Number.isFinite(tempF)) {
+      const high = Number.parseFloat(row["TMAX"]);
+      const low = Number.parseFloat(row["TMIN"]);
+      tempF = (high + low) / 2;
+    }
+    if (!Number.isFinite(tempF)) {
+      tempF = Number.parseFloat(row["HourlyDryBulbTemperature"]);
+    }
+    if (!Number.isFinite(tempF)) return null;
+    if (!readings.has(date)) {
+      readings.set(date, { station: row["STATION"] ?? "", temps: [] });
+    }
+    readings.get(date).temps.push(tempF);
+    return null;
+  });
+  return Array.from(readings, ([date, { station, temps }]) => ({
+    date,
+    tempF: temps.reduce((sum, temp) => sum + temp, 0) / temps.length,
+    station,
+    source
+  })).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function parseCurrency(value) {
+  if (!value) return null;
+  const trimmed = value.trim();
+  const negative = trimmed.startsWith("-") || trimmed.startsWith("(");
+  const amount = Number.parseFloat(trimmed.replace(/[^0-9.]/g, ""));
+  if (!Number.isFinite(amount)) return null;
+  return negative ? -amount : amount;
+}
+
+function parseBillingRows(csvText, source, service = DEFAULT_SERVICE) {
+  const rows = csvParse(csvText, (row) => {
+    const startDate = row["START DATE"];
+    const endDate = row["END DATE"];
+    if (!startDate || !endDate) return null;
+    const usageValue = Number.parseFloat(row["USAGE (kWh)"]);
+    return {
+      periodKey: `${service}_${startDate}_${endDate}`,
+      service,
+      startDate,
+      endDate,
+      usageKWh: Number.isFinite(usageValue) ? usageValue : 0,
+      costUSD: parseCurrency(row["COST"]),
+      notes: row["NOTES"] ?? "",
+      source
+    };
+  });
+  return rows
+    .filter(Boolean)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+// Builds 15-minute records from readings given as local wall times. Longer
+// intervals are spread evenly across their quarter-hours so every source ends
+// up on the same grid.
+function buildIntervalRecords(readings, source, service) {
+  const seenAmbiguous = new Set();
+  const records = [];
+  for (const reading of readings) {
+    const resolved = resolveZonedDateTime(reading.date, reading.startTime);
+    if (resolved.status === "nonexistent") continue;
+    let fold = 0;
+    if (resolved.status === "ambiguous") {
+      const key = `${reading.date}T${reading.startTime}`;
+      fold = seenAmbiguous.has(key) ? 1 : 0;
+      seenAmbiguous.add(key);
+    }
+    // A missing reading is left to gap filling rather than taken as 0 kWh.
+    if (reading.importKWh === null) continue;
+    records.push(
+      ...splitInterval(
+        resolved.candidates[fold],
+        reading.minutes,
+        reading.importKWh,
+        reading.exportKWh,
+        source,
+        service
+      )
+    );
+  }
+  return records.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function splitInterval(start, minutes, importKWh, exportKWh, source, service) {
+  const parts = Math.max(1, Math.round(minutes / 15));
+  return Array.from({ length: parts }, (_, index) => {
+    const timestamp = new Date(start.getTime() + index * FIFTEEN_MINUTES);
+    return {
+      timestamp,
+      date: formatDateInZone(timestamp),
+      startTime: formatTimeInZone(timestamp),
+      fold: foldOf(timestamp),
+      importKWh: importKWh / parts,
+      exportKWh: exportKWh / parts,
+      service,
+      source,
+      synthetic: false
+    };
+  });
+}
+
+function minutesBetween(startTime, endTime) {
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+  };
+  // End times are inclusive (00:00–00:14), so round up to the next minute.
+  const difference = (toMinutes(endTime) - toMinutes(startTime) + 1440) % 1440;
+  return Math.round((difference + 1) / 15) * 15 || 15;
+}
+
+const GREEN_BUTTON_CSV_PREFIX = "TYPE,DATE,START TIME,END TIME,";
+const GREEN_BUTTON_USAGE_COLUMNS = ["IMPORT (kWh)", "USAGE (kWh)", "USAGE"];
+
+// Green Button CSVs from other utilities (PG&E, PSE) share SCL's leading
+// columns but name the usage column differently, may add a UNITS column, and
+// often report hourly intervals.
+function parseGreenButtonCsv(csvText, source, service) {
+  const readings = [];
+  csvParse(csvText, (row) => {
+    if (!row["DATE"] || !row["START TIME"]) return null;
+    if (row["TYPE"] && !/electric/i.test(row["TYPE"])) return null;
+    const unit = (row["UNITS"] ?? "kWh").trim();
+    if (!/^k?wh$/i.test(unit)) return null;
+    const scale = /^wh$/i.test(unit) ? 0.001 : 1;
+    const usageColumn = GREEN_BUTTON_USAGE_COLUMNS.find(
+      (column) => row[column] !== undefined
+    );
+    const importValue = Number.parseFloat(row[usageColumn]);
+    const exportValue = Number.parseFloat(row["EXPORT (kWh)"]);
+    readings.push({
+      date: row["DATE"],
+      startTime: row["START TIME"].slice(0, 5),
+      minutes: row["END TIME"]
+        ? minutesBetween(row["START TIME"], row["END TIME"])
+        : 15,
+      // Blank readings are skipped after their local time is resolved.
+      importKWh: Number.isFinite(importValue) ? importValue * scale : null,
+      exportKWh: Number.isFinite(exportValue) ? exportValue : 0
+    });
+    return null;
+  });
+  return buildIntervalRecords(readings, source, service);
+}
+
+function xmlElements(xml, name) {
+  const pattern = new RegExp(
+    `<(?:[\\w-]+:)?${name}\\b[^>]*?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>)`,
+    "g"
+  );
+  return Array.from(xml.matchAll(pattern), (match) => match[1] ?? "");
+}
+
+function xmlValue(xml, name) {
+  const [value] = xmlElements(xml, name);
+  return value === undefined ? null : value.trim();
+}
+
+function xmlLinks(xml) {
+  return Array.from(xml.matchAll(/<(?:[\w-]+:)?link\b([^>]*)>/g), (match) => ({
+    rel: /\brel="([^"]*)"/.exec(match[1])?.[1] ?? "",
+    href: /\bhref="([^"]*)"/.exec(match[1])?.[1] ?? ""
+  }));
+}
+
+// Green Button (NAESB ESPI) Atom feeds. The usage point id becomes the
+// service, and interval blocks are tied to their reading type through the
+// meter reading they sit under. This reads the XML
+// with regular expressions rather than DOMParser so it doesn't depend on the
+// DOM.
+function parseEspiXml(xml, source, fallbackService) {
+  const readingTypes = new Map();
+  const meterReadingTypes = new Map();
+  const blocks = [];
+  let service = fallbackService;
+  for (const entry of xmlElements(xml, "entry")) {
+    const links = xmlLinks(entry);
+    const self = links.find((link) => link.rel === "self")?.href ?? "";
+    const content = xmlValue(entry, "content") ?? "";
+    if (xmlElements(content, "UsagePoint").length) {
+      const id = /\/UsagePoint\/([^/]+)$/.exec(self)?.[1];
+      if (id && service === DEFAULT_SERVICE) service = decodeURIComponent(id);
+    } else if (xmlElements(content, "ReadingType").length) {
+      readingTypes.set(self, {
+        multiplier: 10 ** Number(xmlValue(content, "powerOfTenMultiplier") ?? 0),
+        uom: Number(xmlValue(content, "uom") ?? 72),
+        flowDirection: Number(xmlValue(content, "flowDirection") ?? 1)
+      });
+    } else if (xmlElements(content, "MeterReading").length) {
+      for (const link of links.filter((link) => link.rel === "related")) {
+        if (/ReadingType/.test(link.href)) meterReadingTypes.set(self, link.href);
+      }
+    } else if (xmlElements(content, "IntervalBlock").length) {
+      blocks.push({ self, content });
+    }
+  }
+  const onlyType = readingTypes.size === 1 ? [...readingTypes.values()][0] : null;
+  const totals = new Map();
+  for (const block of blocks) {
+    const meterReading = block.self.replace(/\/IntervalBlock(\/.*)?$/, "");
+    const type = readingTypes.get(meterReadingTypes.get(meterReading)) ?? onlyType;
+    if (!type) continue;
+    // 72 is Wh; anything else is assumed to already be in kWh-sized units.
+    const toKWh = type.multiplier * (type.uom === 72 ? 0.001 : 1);
+    const key = type.flowDirection === 19 ? "exportKWh" : "importKWh";
+    for (const reading of xmlElements(block.content, "IntervalReading")) {
+      const period = xmlValue(reading, "timePeriod") ?? "";
+      const start = Number(xmlValue(period, "start"));
+      const duration = Number(xmlValue(period, "duration"));
+      const value = Number(xmlValue(reading, "value"));
+      if (!Number.isFinite(start) || !Number.isFinite(value)) continue;
+      const entry = totals.get(start) ?? {
+        minutes: duration / 60 || 15,
+        importKWh: 0,
+        exportKWh: 0
+      };
+      entry[key] += value * toKWh;
+      totals.set(start, entry);
+    }
+  }
+  return Array.from(totals, ([start, entry]) =>
+    splitInterval(
+      new Date(start * 1000),
+      entry.minutes,
+      entry.importKWh,
+      entry.exportKWh,
+      source,
+      service
+    )
+  )
+    .flat()
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+export function splitCsvLine(line) {
+  return csvParseRows(line)[0] ?? [];
+}
+
+// The header of an unknown CSV is the first line with two or more columns
+// that the following line matches in width.
+export function guessHeaderLine(text) {
+  const lines = text.split(/\r?\n/).slice(0, 50);
+  return lines.find((line, index) => {
+    const width = splitCsvLine(line).length;
+    return width >= 2 && splitCsvLine(lines[index + 1] ?? "").length === width;
+  });
+}
+
+// Accepts ISO dates or M/D/YYYY, optionally followed by a 12- or 24-hour
+// time. Values with an explicit offset are converted to local wall time.
+function parseLocalDateTime(dateValue, timeValue = "") {
+  const value = `${dateValue ?? ""} ${timeValue ?? ""}`.trim();
+  if (/(?:Z|[+-]\d{2}:?\d{2})$/.test(value) && value.includes("T")) {
+    const instant = new Date(value);
+    if (Number.isNaN(instant.getTime())) return null;
+    return { date: formatDateInZone(instant), startTime: formatTimeInZone(instant) };
+  }
+  const match =
+    /^(?:(\d{4})-(\d{1,2})-(\d{1,2})|(\d{1,2})\/(\d{1,2})\/(\d{4}))(?:[T ]+(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*([AaPp][Mm])?)?$/.exec(
+      value
+    );
+  if (!match) return null;
+  const year = match[1] ?? match[6];
+  const month = match[2] ?? match[4];
+  const day = match[3] ?? match[5];
+  let hour = Number(match[7] ?? 0);
+  const meridiem = match[9]?.toUpperCase();
+  if (meridiem === "PM" && hour < 12) hour += 12;
+  if (meridiem === "AM" && hour === 12) hour = 0;
+  return {
+    date: `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`,
+    startTime: `${String(hour).padStart(2, "0")}:${match[8] ?? "00"}`
+  };
+}
+
+export function parseMappedCsv(csvText, source, mapping) {
+  const scale = mapping.unit === "Wh" ? 0.001 : 1;
+  const rows = [];
+  csvParse(csvText, (row) => {
+    const local = parseLocalDateTime(
+      row[mapping.date],
+      mapping.time ? row[mapping.time] : ""
+    );
+    if (!local) return null;
+    const importValue = Number.parseFloat(row[mapping.import]);
+    const exportValue = mapping.export ? Number.parseFloat(row[mapping.export]) : 0;
+    rows.push({
+      ...local,
+      // Blank readings are skipped after their local time is resolved.
+      importKWh: Number.isFinite(importValue) ? importValue * scale : null,
+      exportKWh: Number.isFinite(exportValue) ? exportValue * scale : 0
+    });
+    return null;
+  });
+  let minutes = Number(mapping.interval);
+  if (!minutes) {
+    const starts = rows
+      .slice(0, 200)
+      .map((row) => zonedDateTimeToDate(row.date, row.startTime).getTime())
+      .sort((a, b) => a - b);
+    const steps = starts
+      .slice(1)
+      .map((start, index) => (start - starts[index]) / 60000)
+      .filter((step) => step > 0);
+    minutes = steps.length ? Math.min(...steps) : 15;
+  }
+  return buildIntervalRecords(
+    rows.map((row) => ({ ...row, minutes })),
+    source,
+    mapping.service || DEFAULT_SERVICE
+  );
+}
+
+function csvParser(id, label, matchesHeader, parse) {
+  return {
+    id,
+    label,
+    detect: (text) => locateHeader(text, matchesHeader),
+    parse
+  };
+}
+
+// Checked in order; the first parser whose detect() returns a context wins.
+const PARSERS = [
+  csvParser(
+    "scl-usage",
+    "Seattle City Light usage CSV",
+    (line) => line.startsWith(CSV_HEADERS.usage),
+    ({ csvText, metadata }, fileName) => ({
+      kind: "usage",
+      records: parseUsageRows(csvText, fileName, detectService(fileName, metadata))
+    })
+  ),
+  csvParser(
+    "scl-billing",
+    "Seattle City Light billing CSV",
+    (line) => line.startsWith(CSV_HEADERS.billing),
+    ({ csvText, metadata }, fileName) => ({
+      kind: "billing",
+      periods: parseBillingRows(csvText, fileName, detectService(fileName, metadata))
+    })
+  ),
+  csvParser(
+    "green-button-csv",
+    "Green Button CSV",
+    (line) =>
+      line.startsWith(GREEN_BUTTON_CSV_PREFIX) &&
+      GREEN_BUTTON_USAGE_COLUMNS.some((column) => splitCsvLine(line).includes(column)),
+    ({ csvText, metadata }, fileName) => ({
+      kind: "usage",
+      records: parseGreenButtonCsv(csvText, fileName, detectService(fileName, metadata))
+    })
+  ),
+  {
+    id: "espi-xml",
+    label: "Green Button XML",
+    detect: (text) =>
+      /<(?:[\w-]+:)?feed\b/.test(text) && /IntervalBlock/.test(text) ? { xml: text } : null,
+    parse: ({ xml }, fileName) => ({
+      kind: "usage",
+      records: parseEspiXml(xml, fileName, DEFAULT_SERVICE)
+    })
+  },
+  csvParser(
+    "noaa-weather",
+    "NOAA temperature CSV",
+    isWeatherHeader,
+    ({ csvText }, fileName) => ({
+      kind: "weather",
+      weatherDays: parseWeatherRows(csvText, fileName)
+    })
+  ),
+  {
+    id: "mapped-csv",
+    label: "CSV with saved column mapping",
+    detect: (text, { columnMappings }) => {
+      const headerLine = guessHeaderLine(text);
+      const mapping = headerLine && columnMappings[headerLine];
+      if (!mapping) return null;
+      return { ...locateHeader(text, (line) => line === headerLine), mapping };
+    },
+    parse: ({ csvText, mapping }, fileName) => ({
+      kind: "usage",
+      records: parseMappedCsv(csvText, fileName, mapping)
+    })
+  }
+];
+
+// Remembered column mappings live in localStorage, so callers pass them in.
+export function parseFile(text, fileName, columnMappings = {}) {
+  const clean = stripBom(text);
+  for (const parser of PARSERS) {
+    const context = parser.detect(clean, { fileName, columnMappings });
+    if (context) return { format: parser.label, ...parser.parse(context, fileName) };
+  }
+  return null;
+}
+
+export function netKWh(record) {
+  if (record.importKWh === null) return null;
+  return record.importKWh - (record.exportKWh ?? 0);
+}
+
+export function formatDateInZone(date) {
+  return dateFormatter.format(date);
+}
+
+export function formatTimeInZone(date) {
+  return timeFormatter.format(date);
+}
+
+export function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().slice(0, 10);
+}
+
+export function daysBetween(startStr, endStr) {
+  const toUTC = (dateStr) => {
+    const [year, month, day] = dateStr.split("-").map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUTC(endStr) - toUTC(startStr)) / 86_400_000);
+}
+
+export function listAvailableDates(records) {
+  const dates = [];
+  let previous = null;
+  for (const record of records) {
+    if (record.date !== previous) {
+      dates.push(record.date);
+      previous = record.date;
+    }
+  }
+  return dates;
+}
+
+export function weekdayOf(dateStr) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function interpolateGaps(records) {
+  let i = 0;
+  while (i < records.length) {
+    if (!records[i].synthetic) {
+      i += 1;
+      continue;
+    }
+    let j = i;
+    while (j < records.length && records[j].synthetic) j += 1;
+    const before = records[i - 1];
+    const after = records[j];
+    for (let k = i; k < j; k += 1) {
+      const fraction = (k - i + 1) / (j - i + 1);
+      for (const field of ["importKWh", "exportKWh"]) {
+        const from = before?.[field] ?? after?.[field] ?? 0;
+        const to = after?.[field] ?? from;
+        records[k][field] = from + (to - from) * fraction;
+      }
+    }
+    i = j;
+  }
+}
+
+function fillFromWeekdayProfile(records) {
+  const profile = new Map();
+  for (const record of records) {
+    if (record.synthetic) continue;
+    const key = `${weekdayOf(record.date)}|${record.startTime}`;
+    const slot = profile.get(key) ?? { importKWh: 0, exportKWh: 0, count: 0 };
+    slot.importKWh += record.importKWh;
+    slot.exportKWh += record.exportKWh;
+    slot.count += 1;
+    profile.set(key, slot);
+  }
+  for (const record of records) {
+    if (!record.synthetic) continue;
+    const slot = profile.get(`${weekdayOf(record.date)}|${record.startTime}`);
+    record.importKWh = slot ? slot.importKWh / slot.count : 0;
+    record.exportKWh = slot ? slot.exportKWh / slot.count : 0;
+  }
+}
+
+export function fillMissingIntervals(records, mode = "zero") {
+  if (records.length === 0) return [];
+  const result = [];
+  for (let i = 0; i < records.length; i += 1) {
+    const current = records[i];
+    result.push(current);
+    const next = records[i + 1];
+    if (!next) continue;
+    const gapStart = result.length;
+    let expected = new Date(current.timestamp.getTime() + FIFTEEN_MINUTES);
+    while (expected < next.timestamp) {
+      result.push({
+        timestamp: expected,
+        date: formatDateInZone(expected),
+        startTime: formatTimeInZone(expected),
+        fold: foldOf(expected),
+        importKWh: 0,
+        exportKWh: 0,
+        service: current.service,
+        source: "synthetic-gap-fill",
+        synthetic: true,
+        fillMethod: mode
+      });
+      expected = new Date(expected.getTime() + FIFTEEN_MINUTES);
+    }
+    // SCL files leave out the repeated 01:xx hour on the fall-back day. Its
+    // rows are filled like any gap but aren't expected to have readings.
+    const gap = result.slice(gapStart);
+    if (gap.length === ONE_HOUR / FIFTEEN_MINUTES && gap.every((row) => row.fold === 1)) {
+      for (const row of gap) row.repeatedHour = true;
+    }
+  }
+  if (mode === "gap") {
+    for (const record of result) {
+      if (!record.synthetic) continue;
+      record.importKWh = null;
+      record.exportKWh = null;
+    }
+  } else if (mode === "linear") {
+    interpolateGaps(result);
+  } else if (mode === "profile") {
+    fillFromWeekdayProfile(result);
+  }
+  return result;
+}
+
+function addNullable(total, value) {
+  if (value === null || value === undefined) return total;
+  return (total ?? 0) + value;
+}
+
+function addRecordToBucket(bucket, record) {
+  bucket.importKWh = addNullable(bucket.importKWh, record.importKWh);
+  bucket.exportKWh = addNullable(bucket.exportKWh, record.exportKWh);
+  bucket.costUSD = addNullable(bucket.costUSD, record.costUSD);
+  bucket.compareCostUSD = addNullable(
+    bucket.compareCostUSD,
+    record.compareCostUSD
+  );
+  bucket.sampleCount += 1;
+  if (!record.synthetic) bucket.realCount += 1;
+  if (record.repeatedHour) bucket.expectedCount -= 1;
+}
+
+export function groupByService(records) {
+  const groups = new Map();
+  for (const record of records) {
+    if (!groups.has(record.service)) groups.set(record.service, []);
+    groups.get(record.service).push(record);
+  }
+  return groups;
+}
+
+export function sumServiceRecords(seriesList) {
+  const totals = new Map();
+  for (const records of seriesList) {
+    for (const record of records) {
+      const key = record.timestamp.getTime();
+      const total = totals.get(key);
+      if (!total) {
+        totals.set(key, { ...record, service: null });
+        continue;
+      }
+      total.importKWh = addNullable(total.importKWh, record.importKWh);
+      total.exportKWh = addNullable(total.exportKWh, record.exportKWh);
+      total.costUSD = addNullable(total.costUSD, record.costUSD);
+      total.compareCostUSD = addNullable(
+        total.compareCostUSD,
+        record.compareCostUSD
+      );
+      total.synthetic = total.synthetic && record.synthetic;
+      total.repeatedHour = Boolean(total.repeatedHour && record.repeatedHour);
+    }
+  }
+  return Array.from(totals.values()).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Days past the end of the target month are clamped to its last day, so a
+// year before 2024-02-29 is 2023-02-28 rather than March 1.
+export function addMonths(dateStr, months) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(year, month + months, 0)).getUTCDate();
+  const date = new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay)));
+  return date.toISOString().slice(0, 10);
+}
+
+function expectedIntervals(startDate, endDate) {
+  let count = 0;
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    count += hoursInDay(date) * 4;
+  }
+  return count;
+}
+
+// Billing cycles come from imported billing periods. Dates outside every
+// period fall back to cycles starting on the meter read day, trimmed so they
+// don't overlap a neighbouring billing period.
+function billingCycleFor(dateStr, periods, readDay) {
+  const period = periods.find(
+    (candidate) => candidate.startDate <= dateStr && dateStr <= candidate.endDate
+  );
+  if (period) return { date: period.startDate, endDate: period.endDate };
+  let start = `${dateStr.slice(0, 8)}${String(readDay).padStart(2, "0")}`;
+  if (start > dateStr) start = addMonths(start, -1);
+  let end = addDays(addMonths(start, 1), -1);
+  for (const candidate of periods) {
+    if (candidate.endDate < dateStr && candidate.endDate >= start) {
+      start = addDays(candidate.endDate, 1);
+    }
+    if (candidate.startDate > dateStr && candidate.startDate <= end) {
+      end = addDays(candidate.startDate, -1);
+    }
+  }
+  return { date: start, endDate: end };
+}
+
+function dayBucketFor(dateStr, granularity, options) {
+  switch (granularity) {
+    case "weekly": {
+      const offset = (weekdayOf(dateStr) - options.weekStart + 7) % 7;
+      const start = addDays(dateStr, -offset);
+      return { date: start, endDate: addDays(start, 6) };
+    }
+    case "monthly": {
+      const start = `${dateStr.slice(0, 7)}-01`;
+      return { date: start, endDate: addDays(addMonths(start, 1), -1) };
+    }
+    case "billing":
+      return billingCycleFor(dateStr, options.periods, options.readDay);
+    default:
+      return { date: dateStr, endDate: dateStr };
+  }
+}
+
+function cyclePeriods(billingPeriods, services) {
+  const byStart = new Map();
+  for (const period of billingPeriods) {
+    if (services.includes(period.service) && !byStart.has(period.startDate)) {
+      byStart.set(period.startDate, period);
+    }
+  }
+  return Array.from(byStart.values()).sort((a, b) =>
+    a.startDate.localeCompare(b.startDate)
+  );
+}
+
+function effectiveReadDay(periods, readDay) {
+  if (readDay) return readDay;
+  const latest = periods.at(-1);
+  return latest ? Math.min(Number(latest.startDate.slice(8)), 28) : 1;
+}
+
+export function bucketOptions(billingPeriods, services, { weekStart, readDay }) {
+  const periods = cyclePeriods(billingPeriods, services);
+  return {
+    weekStart,
+    periods,
+    readDay: effectiveReadDay(periods, readDay)
+  };
+}
+
+export function aggregate(records, granularity, options) {
+  if (granularity === "15min") {
+    return records.slice();
+  }
+
+  const buckets = new Map();
+  const dayBuckets = new Map();
+
+  for (const record of records) {
+    if (granularity === "hourly") {
+      const hour = record.startTime.slice(0, 2);
+      const fold = record.fold ?? 0;
+      const key = `${record.date}T${hour}#${fold}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, {
+          timestamp: zonedDateTimeToDate(
+            record.date,
+            `${hour}:00`,
+            TIME_ZONE,
+            fold ? "later" : "earlier"
+          ),
+          date: record.date,
+          startTime: `${hour}:00`,
+          fold,
+          importKWh: null,
+          exportKWh: null,
+          costUSD: null,
+          compareCostUSD: null,
+          sampleCount: 0,
+          realCount: 0,
+          expectedCount: 4
+        });
+      }
+      const bucket = buckets.get(key);
+      addRecordToBucket(bucket, record);
+    } else {
+      if (!dayBuckets.has(record.date)) {
+        dayBuckets.set(
+          record.date,
+          dayBucketFor(record.date, granularity, options)
+        );
+      }
+      const { date, endDate } = dayBuckets.get(record.date);
+      if (!buckets.has(date)) {
+        buckets.set(date, createDayBucket(date, endDate));
+      }
+      const bucket = buckets.get(date);
+      addRecordToBucket(bucket, record);
+    }
+  }
+
+  return Array.from(buckets.values()).sort(
+    (a, b) => a.timestamp - b.timestamp
+  );
+}
+
+function createDayBucket(date, endDate) {
+  return {
+    timestamp: zonedDateTimeToDate(date, "00:00"),
+    date,
+    endDate,
+    startTime: "00:00",
+    hoursInDay: date === endDate ? hoursInDay(date) : undefined,
+    importKWh: null,
+    exportKWh: null,
+    costUSD: null,
+    compareCostUSD: null,
+    sampleCount: 0,
+    realCount: 0,
+    expectedCount: expectedIntervals(date, endDate)
+  };
+}
+
+// Weekly, monthly and billing-cycle buckets are sums of daily buckets, so
+// they can be rebuilt without going back to the 15-minute records.
+export function rollUpDays(days, granularity, options) {
+  const buckets = new Map();
+  for (const day of days) {
+    const { date, endDate } = dayBucketFor(day.date, granularity, options);
+    if (!buckets.has(date)) {
+      buckets.set(date, createDayBucket(date, endDate));
+    }
+    const bucket = buckets.get(date);
+    bucket.importKWh = addNullable(bucket.importKWh, day.importKWh);
+    bucket.exportKWh = addNullable(bucket.exportKWh, day.exportKWh);
+    bucket.costUSD = addNullable(bucket.costUSD, day.costUSD);
+    bucket.compareCostUSD = addNullable(bucket.compareCostUSD, day.compareCostUSD);
+    bucket.sampleCount += day.sampleCount;
+    bucket.realCount += day.realCount;
+    bucket.expectedCount -= hoursInDay(day.date) * 4 - day.expectedCount;
+  }
+  return Array.from(buckets.values()).sort(
+    (a, b) => a.timestamp - b.timestamp
+  );
+}
+
+function isFiniteRate(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+export function validateRatePlan(plan) {
+  if (!plan || typeof plan !== "object" || Array.isArray(plan)) {
+    throw new Error("Rate plan must be a JSON object.");
+  }
+  if (typeof plan.name !== "string" || !plan.name.trim()) {
+    throw new Error("Rate plan needs a name.");
+  }
+  if (!RATE_PLAN_TYPES.includes(plan.type)) {
+    throw new Error(`Rate plan type must be one of ${RATE_PLAN_TYPES.join(", ")}.`);
+  }
+  if (plan.exportRate !== undefined && !isFiniteRate(plan.exportRate)) {
+    throw new Error("exportRate must be a non-negative number.");
+  }
+  if (plan.type === "flat" && !isFiniteRate(plan.rate)) {
+    throw new Error("Flat plans need a non-negative rate.");
+  }
+  if (plan.type === "tiered") {
+    if (!Array.isArray(plan.tiers) || !plan.tiers.length) {
+      throw new Error("Tiered plans need at least one tier.");
+    }
+    let previousLimit = 0;
+    plan.tiers.forEach((tier, index) => {
+      if (!isFiniteRate(tier.rate)) {
+        throw new Error(`Tier ${index + 1} needs a non-negative rate.`);
+      }
+      const isLast = index === plan.tiers.length - 1;
+      if (!isLast || tier.upToKWh !== undefined) {
+        if (!isFiniteRate(tier.upToKWh) || tier.upToKWh <= previousLimit) {
+          throw new Error(
+            `Tier ${index + 1} needs an upToKWh above ${previousLimit}.`
+          );
+        }
+        previousLimit = tier.upToKWh;
+      }
+    });
+  }
+  if (plan.type === "tou") {
+    if (!isFiniteRate(plan.defaultRate)) {
+      throw new Error("Time-of-use plans need a non-negative defaultRate.");
+    }
+    if (!Array.isArray(plan.windows)) {
+      throw new Error("Time-of-use plans need a windows array.");
+    }
+    plan.windows.forEach((touWindow, index) => {
+      const name = touWindow.label || `Window ${index + 1}`;
+      if (!isFiniteRate(touWindow.rate)) {
+        throw new Error(`${name} needs a non-negative rate.`);
+      }
+      const timePattern = /^\d{2}:\d{2}$/;
+      if (!timePattern.test(touWindow.start) || !timePattern.test(touWindow.end)) {
+        throw new Error(`${name} needs start and end times as HH:MM.`);
+      }
+      if (touWindow.days !== undefined && !TOU_DAYS.includes(touWindow.days)) {
+        throw new Error(`${name} days must be one of ${TOU_DAYS.join(", ")}.`);
+      }
+      if (
+        touWindow.months !== undefined &&
+        (!Array.isArray(touWindow.months) ||
+          touWindow.months.some((m) => !Number.isInteger(m) || m < 1 || m > 12))
+      ) {
+        throw new Error(`${name} months must be numbers from 1 to 12.`);
+      }
+    });
+  }
+  return plan;
+}
+
+// Annotations mark a moment (no end date) or a range of local dates, each end
+// optionally at a time of day. A range without an end time runs to the end of
+// its last day.
+export function validateAnnotation(annotation) {
+  if (!annotation || typeof annotation !== "object" || Array.isArray(annotation)) {
+    throw new Error("An annotation must be an object.");
+  }
+  const label = typeof annotation.label === "string" ? annotation.label.trim() : "";
+  if (!label) {
+    throw new Error("An annotation needs a label.");
+  }
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const timePattern = /^\d{2}:\d{2}$/;
+  const startTime = annotation.startTime || null;
+  let endDate = annotation.endDate || null;
+  const endTime = annotation.endTime || null;
+  if (!datePattern.test(annotation.startDate)) {
+    throw new Error(`"${label}" needs a start date as YYYY-MM-DD.`);
+  }
+  if (endTime && !endDate) endDate = annotation.startDate;
+  if (endDate && !datePattern.test(endDate)) {
+    throw new Error(`"${label}" needs an end date as YYYY-MM-DD.`);
+  }
+  if ((startTime && !timePattern.test(startTime)) || (endTime && !timePattern.test(endTime))) {
+    throw new Error(`"${label}" needs times as HH:MM.`);
+  }
+  if (
+    endDate &&
+    (endDate < annotation.startDate ||
+      (endDate === annotation.startDate && endTime && endTime <= (startTime ?? "00:00")))
+  ) {
+    throw new Error(`"${label}" ends before it starts.`);
+  }
+  return {
+    ...(Number.isInteger(annotation.id) ? { id: annotation.id } : {}),
+    label,
+    note: typeof annotation.note === "string" ? annotation.note.trim() : "",
+    startDate: annotation.startDate,
+    startTime,
+    endDate,
+    endTime: endDate ? endTime : null
+  };
+}
+
+export function annotationSpan({ startDate, startTime, endDate, endTime }) {
+  const start = zonedDateTimeToDate(startDate, startTime ?? "00:00");
+  if (!endDate) return { start, end: null };
+  const end = endTime
+    ? zonedDateTimeToDate(endDate, endTime)
+    : zonedDateTimeToDate(addDays(endDate, 1), "00:00");
+  return { start, end };
+}
+
+// The NOTES column of SCL usage files becomes read-only annotations:
+// consecutive intervals of a service with the same note are one span.
+export function noteAnnotations(records) {
+  const spans = [];
+  let current = null;
+  for (const record of records) {
+    if (!record.note) {
+      current = null;
+      continue;
+    }
+    const end = new Date(record.timestamp.getTime() + FIFTEEN_MINUTES);
+    if (
+      current &&
+      current.label === record.note &&
+      current.end.getTime() === record.timestamp.getTime()
+    ) {
+      current.end = end;
+      current.endDate = record.date;
+      continue;
+    }
+    current = {
+      label: record.note,
+      service: record.service,
+      source: record.source,
+      start: record.timestamp,
+      end,
+      startDate: record.date,
+      endDate: record.date
+    };
+    spans.push(current);
+  }
+  return spans;
+}
+
+function tieredCost(usedBefore, kwh, tiers) {
+  const usedAfter = usedBefore + kwh;
+  let cost = 0;
+  let lowerLimit = 0;
+  for (const tier of tiers) {
+    const upperLimit = tier.upToKWh ?? Infinity;
+    const portion =
+      Math.min(usedAfter, upperLimit) - Math.max(usedBefore, lowerLimit);
+    if (portion > 0) cost += portion * tier.rate;
+    lowerLimit = upperLimit;
+  }
+  const beyondLastTier = usedAfter - Math.max(usedBefore, lowerLimit);
+  if (beyondLastTier > 0) cost += beyondLastTier * tiers.at(-1).rate;
+  return cost;
+}
+
+function touRate(plan, record) {
+  const [year, month, day] = record.date.split("-").map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const isWeekend = weekday === 0 || weekday === 6;
+  for (const touWindow of plan.windows) {
+    const { start, end, days, months } = touWindow;
+    if (months && !months.includes(month)) continue;
+    if (days === "weekdays" && isWeekend) continue;
+    if (days === "weekends" && !isWeekend) continue;
+    const inWindow =
+      start <= end
+        ? record.startTime >= start && record.startTime < end
+        : record.startTime >= start || record.startTime < end;
+    if (inWindow) return touWindow.rate;
+  }
+  return plan.defaultRate;
+}
+
+export function billingPeriodKey(periods, date) {
+  const period = periods.find(
+    (candidate) => candidate.startDate <= date && date <= candidate.endDate
+  );
+  return period ? period.periodKey : date.slice(0, 7);
+}
+
+function estimateCosts(records, plan, periods) {
+  const exportRate = plan.exportRate ?? 0;
+  const usageByPeriod = new Map();
+  return records.map((record) => {
+    if (record.importKWh === null) return null;
+    let importCost;
+    if (plan.type === "flat") {
+      importCost = record.importKWh * plan.rate;
+    } else if (plan.type === "tiered") {
+      const key = billingPeriodKey(periods, record.date);
+      const usedBefore = usageByPeriod.get(key) ?? 0;
+      importCost = tieredCost(usedBefore, record.importKWh, plan.tiers);
+      usageByPeriod.set(key, usedBefore + record.importKWh);
+    } else {
+      importCost = record.importKWh * touRate(plan, record);
+    }
+    return importCost - record.exportKWh * exportRate;
+  });
+}
+
+// Returns copies of the records with their costs; the records passed in are
+// left as they are.
+export function applyRatePlans(records, periods, plan, comparePlan) {
+  const costs = plan ? estimateCosts(records, plan, periods) : null;
+  const compareCosts = comparePlan
+    ? estimateCosts(records, comparePlan, periods)
+    : null;
+  return records.map((record, index) => ({
+    ...record,
+    costUSD: costs ? costs[index] : null,
+    compareCostUSD: compareCosts ? compareCosts[index] : null
+  }));
+}
+
+export function reconcileBilling(periods, recordsByService) {
+  return periods.map((period) => {
+    const records = recordsByService.get(period.service) ?? [];
+    const start = zonedDateTimeToDate(period.startDate, "00:00").getTime();
+    const end = zonedDateTimeToDate(
+      addDays(period.endDate, 1),
+      "00:00"
+    ).getTime();
+    let expectedCount = Math.round((end - start) / FIFTEEN_MINUTES);
+    let intervalKWh = 0;
+    let actualCount = 0;
+    for (const record of records) {
+      const t = record.timestamp.getTime();
+      if (t < start || t >= end) continue;
+      intervalKWh += netKWh(record) ?? 0;
+      if (!record.synthetic) actualCount += 1;
+      if (record.repeatedHour) expectedCount -= 1;
+    }
+    const differenceKWh = intervalKWh - period.usageKWh;
+    const tolerance = Math.max(
+      BILLING_TOLERANCE_KWH,
+      Math.abs(period.usageKWh) * BILLING_TOLERANCE_RATIO
+    );
+    let status = "ok";
+    if (actualCount === 0) {
+      status = "no-data";
+    } else if (actualCount < expectedCount) {
+      status = "incomplete";
+    } else if (Math.abs(differenceKWh) > tolerance) {
+      status = "mismatch";
+    }
+    return {
+      ...period,
+      intervalKWh,
+      differenceKWh,
+      coverage: expectedCount ? actualCount / expectedCount : 0,
+      status,
+      flagged: status === "mismatch"
+    };
+  });
+}
+
+// Baseload is the lowest overnight reading of each day, as average kW, with a
+// rolling median to show the trend without single-night dips.
+export function dailyBaseload(records) {
+  const minimums = new Map();
+  for (const record of records) {
+    if (record.synthetic || record.importKWh === null) continue;
+    if (record.startTime >= BASELOAD_END_TIME) continue;
+    const kW = record.importKWh * 4;
+    if (!minimums.has(record.date) || kW < minimums.get(record.date)) {
+      minimums.set(record.date, kW);
+    }
+  }
+  const days = Array.from(minimums, ([date, kW]) => ({ date, kW }));
+  days.sort((a, b) => a.date.localeCompare(b.date));
+  days.forEach((day, index) => {
+    const recent = days
+      .slice(Math.max(0, index - BASELOAD_ROLLING_DAYS + 1), index + 1)
+      .map((entry) => entry.kW)
+      .sort((a, b) => a - b);
+    day.rollingKW = quantileSorted(recent, 0.5);
+  });
+  return days;
+}
+
+function robustStats(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const median = quantileSorted(sorted, 0.5);
+  const deviations = sorted.map((v) => Math.abs(v - median)).sort((a, b) => a - b);
+  return { median, scale: quantileSorted(deviations, 0.5) * 1.4826 };
+}
+
+// Scores each complete bucket against others from the same weekday (and hour
+// of day for hourly buckets) with a median/MAD z-score, which a few extreme
+// readings can't drag around the way a mean/stddev would.
+function scoreBuckets(buckets, groupKey, level) {
+  const groups = new Map();
+  for (const bucket of buckets) {
+    if (!bucket.realCount || bucket.realCount < bucket.expectedCount) continue;
+    if (bucket.importKWh === null) continue;
+    const key = groupKey(bucket);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(bucket);
+  }
+  const flagged = [];
+  for (const members of groups.values()) {
+    if (members.length < 3) continue;
+    const { median, scale } = robustStats(members.map((d) => d.importKWh));
+    for (const bucket of members) {
+      const delta = bucket.importKWh - median;
+      if (Math.abs(delta) < ANOMALY_MIN_KWH[level]) continue;
+      const z = delta / Math.max(scale, 0.01);
+      if (Math.abs(z) < ANOMALY_Z_THRESHOLD) continue;
+      flagged.push({ bucket, z, delta, expected: median });
+    }
+  }
+  return flagged.sort((a, b) => a.bucket.timestamp - b.bucket.timestamp);
+}
+
+export function detectAnomalies(hourly, daily) {
+  const events = [];
+  for (const { bucket, z, delta, expected } of scoreBuckets(
+    hourly,
+    (d) => `${weekdayOf(d.date)}|${d.startTime}`,
+    "hour"
+  )) {
+    const direction = delta > 0 ? "high" : "low";
+    const end = new Date(bucket.timestamp.getTime() + 3_600_000);
+    const previous = events.at(-1);
+    if (
+      previous &&
+      previous.direction === direction &&
+      previous.end.getTime() === bucket.timestamp.getTime()
+    ) {
+      previous.end = end;
+      previous.endDate = bucket.date;
+      previous.deltaKWh += delta;
+      previous.expectedKWh += expected;
+      if (Math.abs(z) > Math.abs(previous.z)) previous.z = z;
+      continue;
+    }
+    events.push({
+      level: "hour",
+      direction,
+      start: bucket.timestamp,
+      end,
+      date: bucket.date,
+      endDate: bucket.date,
+      z,
+      deltaKWh: delta,
+      expectedKWh: expected
+    });
+  }
+  for (const { bucket, z, delta, expected } of scoreBuckets(
+    daily,
+    (d) => weekdayOf(d.date),
+    "day"
+  )) {
+    events.push({
+      level: "day",
+      direction: delta > 0 ? "high" : "low",
+      start: bucket.timestamp,
+      end: zonedDateTimeToDate(addDays(bucket.date, 1), "00:00"),
+      date: bucket.date,
+      endDate: bucket.date,
+      z,
+      deltaKWh: delta,
+      expectedKWh: expected
+    });
+  }
+  return events.sort((a, b) => a.start - b.start);
+}
+
+export function quantileSorted(sorted, p) {
+  if (!sorted.length) return null;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+export function filterByRange(records, startStr, endStr) {
+  if (!records.length) return records;
+  if (!startStr && !endStr) return records;
+  const startDate = startStr
+    ? zonedDateTimeToDate(startStr, "00:00")
+    : null;
+  const endDateExclusive = endStr
+    ? zonedDateTimeToDate(addDays(endStr, 1), "00:00")
+    : null;
+
+  return records.filter((record) => {
+    if (record.endDate) {
+      if (startStr && record.endDate < startStr) return false;
+      if (endStr && record.date > endStr) return false;
+      return true;
+    }
+    const t = record.timestamp.getTime();
+    if (startDate && t < startDate.getTime()) return false;
+    if (endDateExclusive && t >= endDateExclusive.getTime()) return false;
+    return true;
+  });
+}
+
+export function selectedServices(services, serviceView) {
+  if (serviceView === "sum" || serviceView === "stacked") {
+    return services;
+  }
+  return services.filter((service) => service === serviceView);
+}
+
+export function createImportEntry(fileName, kind, format, archive = null) {
+  const match = SCL_FILENAME_PATTERN.exec(fileName);
+  return {
+    fileName,
+    archive,
+    format,
+    kind,
+    services: [],
+    startDate: null,
+    endDate: null,
+    fileStartDate: match?.[3] ?? null,
+    fileEndDate: match?.[4] ?? null,
+    importedAt: Date.now(),
+    rowCount: 0,
+    addedCount: 0,
+    replacedCount: 0,
+    supersededCount: 0
+  };
+}
+
+export function tallyImportRow(entry, service, dates) {
+  entry.rowCount += 1;
+  if (service && !entry.services.includes(service)) {
+    entry.services.push(service);
+  }
+  for (const date of dates) {
+    if (!entry.startDate || date < entry.startDate) entry.startDate = date;
+    if (!entry.endDate || date > entry.endDate) entry.endDate = date;
+  }
+}
+
+export function importedRowDates(kind, row) {
+  if (kind === "billing") return [row.startDate, row.endDate];
+  return [row.date];
+}
+
+// When two imports cover the same interval, billing period or day, the file
+// whose date range ends later wins (the dates in SCL file names, otherwise
+// the dates in the data), then the one that starts later, then the one
+// imported last, so load order only matters for files with the same range.
+export function compareImports(a, b) {
+  return (
+    (a.fileEndDate ?? a.endDate ?? "").localeCompare(b.fileEndDate ?? b.endDate ?? "") ||
+    (a.fileStartDate ?? a.startDate ?? "").localeCompare(
+      b.fileStartDate ?? b.startDate ?? ""
+    ) ||
+    a.importedAt - b.importedAt ||
+    a.id - b.id
+  );
+}
+
+function intervalKey(record) {
+  return `${record.service}|${record.timestamp.getTime()}`;
+}
+
+export const IMPORTED_ROW_KEYS = {
+  usage: intervalKey,
+  billing: (period) => period.periodKey,
+  weather: (day) => day.date
+};
+
+export function resolveWinners(rows, importsById, keyOf) {
+  const winners = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    const current = winners.get(key);
+    if (
+      !current ||
+      compareImports(importsById.get(row.importId), importsById.get(current.importId)) > 0
+    ) {
+      winners.set(key, row);
+    }
+  }
+  return winners;
+}
@@ -0,0 +1,860 @@
+import { unzipSync } from "https://cdn.jsdelivr.net/npm/fflate@0.8/+esm";
+import {
+  DATA_FILE_PATTERN,
+  GRANULARITIES,
+  IMPORTED_ROW_KEYS,
+  addDays,
+  addMonths,
+  aggregate,
+  applyRatePlans,
+  billingPeriodKey,
+  bucketOptions,
+  compareImports,
+  createImportEntry,
+  dailyBaseload,
+  detectAnomalies,
+  emptyByGranularity,
+  fillMissingIntervals,
+  filterByRange,
+  groupByService,
+  importedRowDates,
+  listAvailableDates,
+  locateHeader,
+  noteAnnotations,
+  parseFile,
+  parseMappedCsv,
+  reconcileBilling,
+  resolveWinners,
+  rollUpDays,
+  selectedServices,
+  stripBom,
+  sumServiceRecords,
+  tallyImportRow
+} from "./usage.js";
+import {
+  clearAllRecords,
+  deleteImport,
+  deleteImportedRows,
+  deletePendingClear,
+  exportBackup,
+  loadBillingPeriods,
+  loadImports,
+  loadPendingClear,
+  loadRecordDateBounds,
+  loadRecords,
+  loadWeatherDays,
+  restoreBackup,
+  saveBillingPeriods,
+  saveImport,
+  savePendingClear,
+  saveRecords,
+  saveWeatherDays,
+  validateBackup
+} from "./storage.js";
+
+// Parsing, merging, storage writes and aggregation run here so large imports
+// don't freeze the page. The worker keeps the resolved records and per-day
+// aggregates between tasks, so each task only redoes what it changed.
+const data = {
+  imports: [],
+  recordsByService: new Map(),
+  billingPeriods: [],
+  weatherDays: [],
+  filledByService: new Map(),
+  changedSpans: new Map()
+};
+
+const serviceDays = new Map();
+const sumCaches = new Map();
+const dayCaches = new Map();
+const cancelledTasks = new Set();
+const mappingReplies = new Map();
+let taskQueue = Promise.resolve();
+
+// Clearing hides the data at once but only deletes it from storage when the
+// undo period runs out, or sooner if another task writes to storage. The
+// pending clear is stored too, so a reload keeps the data hidden and can
+// still undo it until then.
+const CLEAR_UNDO_MS = 30 * 1000;
+let pendingClear = null;
+
+function readFileAs(file, method) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (event) => resolve(event.target.result);
+    reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+    reader[method](file);
+  });
+}
+
+// Zip archives (the Green Button download) are unpacked in the browser; each
+// CSV or XML file inside is loaded as if it had been picked on its own.
+async function readInputFile(file) {
+  if (!/\.zip$/i.test(file.name)) {
+    return [{ name: file.name, text: await readFileAs(file, "readAsText") }];
+  }
+  let entries;
+  try {
+    entries = unzipSync(new Uint8Array(await readFileAs(file, "readAsArrayBuffer")));
+  } catch (error) {
+    return [{ name: file.name, error: `Unable to unzip: ${error.message}` }];
+  }
+  const decoder = new TextDecoder();
+  const inputs = Object.entries(entries)
+    .filter(([path]) => !path.endsWith("/") && !path.startsWith("__MACOSX/"))
+    .map(([path, data]) => {
+      const name = path.split("/").pop();
+      if (name.startsWith(".") || !DATA_FILE_PATTERN.test(name)) {
+        return { name, archive: file.name, error: "Skipped (not a CSV or XML file)" };
+      }
+      return { name, archive: file.name, text: decoder.decode(data) };
+    });
+  return inputs.length
+    ? inputs
+    : [{ name: file.name, error: "Archive contains no files" }];
+}
+
+function describeParsedFile(parsed) {
+  const dates =
+    parsed.kind === "usage"
+      ? parsed.records.map((record) => record.date)
+      : parsed.kind === "billing"
+        ? parsed.periods.flatMap((period) => [period.startDate, period.endDate])
+        : parsed.weatherDays.map((day) => day.date);
+  const count =
+    parsed.records?.length ?? parsed.periods?.length ?? parsed.weatherDays.length;
+  const unit = {
+    usage: count === 1 ? "interval" : "intervals",
+    billing: count === 1 ? "billing period" : "billing periods",
+    weather: count === 1 ? "day of weather" : "days of weather"
+  }[parsed.kind];
+  dates.sort();
+  return {
+    format: parsed.format,
+    kind: parsed.kind,
+    summary: `${count} ${unit}`,
+    startDate: dates[0] ?? null,
+    endDate: dates.at(-1) ?? null
+  };
+}
+
+function reportProgress(task, message, value = null, max = null) {
+  self.postMessage({ id: task.id, type: "progress", message, value, max });
+}
+
+// Lets cancel messages through between steps of a long task.
+function pause() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function isCancelled(task) {
+  return cancelledTasks.has(task.id);
+}
+
+function throwIfCancelled(task) {
+  if (!isCancelled(task)) return;
+  const error = new Error("Cancelled.");
+  error.cancelled = true;
+  throw error;
+}
+
+// The column mapping dialog lives on the page; resolves with the mapping and
+// the remembered mappings (which may now include it), or null when skipped.
+function askForColumnMapping(task, fileName, text) {
+  return new Promise((resolve, reject) => {
+    mappingReplies.set(task.id, { resolve, reject });
+    self.postMessage({ id: task.id, type: "mapping", fileName, text });
+  });
+}
+
+function groupByDate(records) {
+  const days = new Map();
+  for (const record of records) {
+    if (!days.has(record.date)) days.set(record.date, []);
+    days.get(record.date).push(record);
+  }
+  return days;
+}
+
+function sortedDates(days) {
+  return Array.from(days.keys()).sort();
+}
+
+function firstIndexAfter(records, date, inclusive) {
+  let lo = 0;
+  let hi = records.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (inclusive ? records[mid].date < date : records[mid].date <= date) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  return lo;
+}
+
+function markChanged(service, startDate, endDate = startDate) {
+  const span = data.changedSpans.get(service);
+  data.changedSpans.set(service, {
+    startDate: span && span.startDate < startDate ? span.startDate : startDate,
+    endDate: span && span.endDate > endDate ? span.endDate : endDate
+  });
+}
+
+// Refills the days of a changed span from the last reading before it to the
+// first reading after it, so gaps reaching into the span are filled from the
+// same neighbours as a full pass would use. Returns the dates it replaced.
+function refillSpan(filled, records, gapMode, { startDate, endDate }) {
+  const lo = firstIndexAfter(records, startDate, true);
+  const hi = firstIndexAfter(records, endDate, false);
+  const slice = records.slice(Math.max(lo - 1, 0), Math.min(hi + 1, records.length));
+  const rows = fillMissingIntervals(slice, gapMode);
+  const first = rows[0];
+  const last = rows.at(-1);
+  const added = groupByDate(rows);
+  const fromDate = first && first.date < startDate ? first.date : startDate;
+  const toDate = last && last.date > endDate ? last.date : endDate;
+  const changed = new Set();
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    // Edge days keep the rows outside the refilled span.
+    const kept =
+      first && (date < startDate || date > endDate)
+        ? (filled.get(date) ?? []).filter(
+            (row) => row.timestamp < first.timestamp || row.timestamp > last.timestamp
+          )
+        : [];
+    const day = kept.concat(added.get(date) ?? []).sort((a, b) => a.timestamp - b.timestamp);
+    if (day.length) {
+      filled.set(date, day);
+    } else {
+      filled.delete(date);
+    }
+    changed.add(date);
+  }
+  return changed;
+}
+
+// Costs are written into copies of the filled records. Tiered plans count
+// usage from the start of each billing period, so a changed day is costed
+// again with the rest of its period.
+function costDays(state, changed, periods, plan, comparePlan) {
+  const tiered = [plan, comparePlan].some((candidate) => candidate?.type === "tiered");
+  const groupOf = (date) => (tiered ? billingPeriodKey(periods, date) : date);
+  const groups = new Map();
+  for (const date of sortedDates(state.filled)) {
+    const key = groupOf(date);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(date);
+  }
+  const dirty = changed && new Set(Array.from(changed, groupOf));
+  if (!changed) state.costed.clear();
+  for (const date of changed ?? []) {
+    if (!state.filled.has(date)) state.costed.delete(date);
+  }
+  for (const [key, dates] of groups) {
+    if (dirty && !dirty.has(key)) continue;
+    const costed = applyRatePlans(
+      dates.flatMap((date) => state.filled.get(date)),
+      periods,
+      plan,
+      comparePlan
+    );
+    for (const [date, day] of groupByDate(costed)) {
+      state.costed.set(date, day);
+    }
+  }
+}
+
+// Each service keeps its filled and costed records per local day. A day's
+// array is replaced only when its rows change, so the caches below can tell
+// what changed by identity. Only the span an import touched is filled and
+// costed again, except in profile mode, where every fill depends on the
+// whole series, and when the rate plans or billing periods change.
+function updateService(service, settings) {
+  const records = data.recordsByService.get(service);
+  const periods = data.billingPeriods.filter((period) => period.service === service);
+  const costKey = JSON.stringify([settings.ratePlan, settings.comparePlan, periods]);
+  const span = data.changedSpans.get(service);
+  let state = serviceDays.get(service);
+  let changed = null;
+  if (!state || state.gapMode !== settings.gapMode || (span && settings.gapMode === "profile")) {
+    state = {
+      gapMode: settings.gapMode,
+      costKey: null,
+      filled: groupByDate(fillMissingIntervals(records, settings.gapMode)),
+      costed: new Map()
+    };
+    serviceDays.set(service, state);
+  } else if (span) {
+    changed = refillSpan(state.filled, records, settings.gapMode, span);
+  } else if (state.costKey === costKey) {
+    return;
+  }
+  if (state.costKey !== costKey) changed = null;
+  costDays(state, changed, periods, settings.ratePlan, settings.comparePlan);
+  state.costKey = costKey;
+  data.filledByService.set(
+    service,
+    sortedDates(state.costed).flatMap((date) => state.costed.get(date))
+  );
+}
+
+// Summed days are cached per selection and rebuilt only for dates where one
+// of the services' days changed.
+function combinedDays(key, selected) {
+  if (selected.length === 1) return serviceDays.get(selected[0]).costed;
+  const previous = sumCaches.get(key) ?? new Map();
+  const days = new Map();
+  const dates = new Set(selected.flatMap((service) => sortedDates(serviceDays.get(service).costed)));
+  for (const date of Array.from(dates).sort()) {
+    const sources = selected.map((service) => serviceDays.get(service).costed.get(date));
+    let cached = previous.get(date);
+    if (!cached || cached.sources.some((source, index) => source !== sources[index])) {
+      cached = { sources, rows: sumServiceRecords(sources.filter(Boolean)) };
+    }
+    days.set(date, cached);
+  }
+  sumCaches.set(key, days);
+  return new Map(Array.from(days, ([date, { rows }]) => [date, rows]));
+}
+
+// Hourly and daily buckets are cached per series and local day and only
+// aggregated again when that day's records were replaced. Coarser buckets
+// are summed from days.
+function aggregateSeries(key, days, options) {
+  const previous = dayCaches.get(key) ?? new Map();
+  const cached = new Map();
+  for (const date of sortedDates(days)) {
+    const records = days.get(date);
+    let day = previous.get(date);
+    if (day?.source !== records) {
+      day = {
+        source: records,
+        hourly: aggregate(records, "hourly", options),
+        daily: aggregate(records, "daily", options)[0]
+      };
+    }
+    cached.set(date, day);
+  }
+  dayCaches.set(key, cached);
+
+  const daily = Array.from(cached.values(), (day) => day.daily);
+  const series = emptyByGranularity();
+  series["15min"] = Array.from(cached.values()).flatMap((day) => day.source);
+  series.hourly = Array.from(cached.values()).flatMap((day) => day.hourly);
+  series.daily = daily;
+  for (const granularity of ["weekly", "monthly", "billing"]) {
+    series[granularity] = rollUpDays(daily, granularity, options);
+  }
+  return series;
+}
+
+async function rebuild(task, settings) {
+  const services = Array.from(data.recordsByService.keys()).sort();
+  const serviceView =
+    settings.serviceView === "sum" ||
+    settings.serviceView === "stacked" ||
+    services.includes(settings.serviceView)
+      ? settings.serviceView
+      : "sum";
+
+  for (const service of serviceDays.keys()) {
+    if (data.recordsByService.has(service)) continue;
+    serviceDays.delete(service);
+    data.filledByService.delete(service);
+  }
+  for (const [index, service] of services.entries()) {
+    reportProgress(task, "Filling gaps and estimating costs…", index, services.length);
+    updateService(service, settings);
+    await pause();
+  }
+  data.changedSpans.clear();
+
+  reportProgress(task, "Aggregating…");
+  const selected = selectedServices(services, serviceView);
+  const key = selected.join("+");
+  const options = bucketOptions(data.billingPeriods, selected, settings);
+  const byGranularity = selected.length
+    ? aggregateSeries(key, combinedDays(key, selected), options)
+    : emptyByGranularity();
+  const combined = byGranularity["15min"];
+  const stacked = emptyByGranularity();
+  if (serviceView === "stacked") {
+    const parts = selected.map((service) =>
+      aggregateSeries(service, serviceDays.get(service).costed, options)
+    );
+    for (const granularity of GRANULARITIES) {
+      stacked[granularity] = parts.flatMap((part, index) =>
+        part[granularity].map((record) => ({ ...record, service: selected[index] }))
+      );
+    }
+  }
+
+  return {
+    services,
+    serviceView,
+    byGranularity,
+    stacked,
+    availableDates: listAvailableDates(combined),
+    baseload: dailyBaseload(combined),
+    anomalies: detectAnomalies(byGranularity.hourly, byGranularity.daily),
+    reconciliation: reconcileBilling(data.billingPeriods, data.filledByService),
+    noteAnnotations: selected.flatMap((service) =>
+      noteAnnotations(data.recordsByService.get(service) ?? [])
+    ),
+    billingPeriods: data.billingPeriods,
+    weatherDays: data.weatherDays,
+    imports: data.imports
+  };
+}
+
+async function readStoredData(task) {
+  reportProgress(task, "Reading stored data…");
+  data.imports = await loadImports();
+  const importsById = new Map(data.imports.map((entry) => [entry.id, entry]));
+  data.billingPeriods = Array.from(
+    resolveWinners(await loadBillingPeriods(), importsById, IMPORTED_ROW_KEYS.billing).values()
+  );
+  data.weatherDays = Array.from(
+    resolveWinners(await loadWeatherDays(), importsById, IMPORTED_ROW_KEYS.weather).values()
+  );
+  const records = await loadStoredRecords(task, importsById);
+  data.recordsByService = groupByService(records);
+  data.filledByService.clear();
+  data.changedSpans.clear();
+  serviceDays.clear();
+}
+
+// Interval rows are read a month at a time through the date index, between
+// the first and last dates it holds. Only the winning row for each interval
+// is kept, so a load holds one month of superseded copies at a time rather
+// than every stored copy; the winners themselves all stay in memory. All rows
+// for one interval share a date, so each month's winners are final.
+async function loadStoredRecords(task, importsById) {
+  const bounds = await loadRecordDateBounds();
+  if (!bounds) return [];
+  const months = [];
+  for (
+    let month = `${bounds.startDate.slice(0, 7)}-01`;
+    month <= bounds.endDate;
+    month = addMonths(month, 1)
+  ) {
+    months.push(month);
+  }
+  const records = [];
+  for (const [index, month] of months.entries()) {
+    reportProgress(task, "Reading stored data…", index, months.length);
+    const rows = await loadRecords({
+      startDate: month,
+      endDate: addDays(addMonths(month, 1), -1)
+    });
+    for (const record of resolveWinners(rows, importsById, IMPORTED_ROW_KEYS.usage).values()) {
+      records.push(record);
+    }
+  }
+  return records.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+async function parseInputs(task, inputs) {
+  let { columnMappings } = task;
+  const report = [];
+  const parsedFiles = [];
+  // Unknown CSVs ask for a column mapping one file at a time.
+  for (const [index, input] of inputs.entries()) {
+    throwIfCancelled(task);
+    reportProgress(task, `Parsing ${input.name}…`, index, inputs.length);
+    const entry = { name: input.name, archive: input.archive ?? null };
+    report.push(entry);
+    if (input.error) {
+      entry.error = input.error;
+      continue;
+    }
+    try {
+      let parsed = parseFile(input.text, input.name, columnMappings);
+      if (!parsed) {
+        const reply = await askForColumnMapping(task, input.name, stripBom(input.text));
+        if (!reply) {
+          entry.error = "Skipped (unknown format)";
+          continue;
+        }
+        columnMappings = reply.columnMappings;
+        const { mapping } = reply;
+        const { csvText } = locateHeader(
+          stripBom(input.text),
+          (line) => line === mapping.headerLine
+        );
+        parsed = {
+          format: "Mapped CSV",
+          kind: "usage",
+          records: parseMappedCsv(csvText, input.name, mapping)
+        };
+      }
+      Object.assign(entry, describeParsedFile(parsed));
+      parsedFiles.push({ ...parsed, report: entry });
+    } catch (error) {
+      entry.error = error.message;
+    }
+    await pause();
+  }
+  return { report, parsedFiles };
+}
+
+const RANGE_LOADERS = {
+  usage: loadRecords,
+  billing: loadBillingPeriods,
+  weather: loadWeatherDays
+};
+
+// Every import's rows for the dates one import covered, so changes to that
+// import only re-read its own dates.
+function loadImportRange(entry) {
+  return RANGE_LOADERS[entry.kind]({ startDate: entry.startDate, endDate: entry.endDate });
+}
+
+// Takes an import's rows out of the winners as if it had never been loaded,
+// and returns the rows it has stored, by key.
+async function withoutImport(entry, winners, importsById) {
+  const keyOf = IMPORTED_ROW_KEYS[entry.kind];
+  const rows = await loadImportRange(entry);
+  const fallback = resolveWinners(
+    rows.filter((row) => row.importId !== entry.id),
+    importsById,
+    keyOf
+  );
+  const storedRows = new Map();
+  for (const row of rows) {
+    if (row.importId !== entry.id) continue;
+    const key = keyOf(row);
+    storedRows.set(key, row);
+    if (winners.get(key)?.importId !== entry.id) continue;
+    if (fallback.has(key)) {
+      winners.set(key, fallback.get(key));
+    } else {
+      winners.delete(key);
+    }
+    if (entry.kind === "usage") markChanged(row.service, row.date);
+  }
+  return storedRows;
+}
+
+// After an import is removed, re-resolves the dates it covered from what the
+// other imports have stored.
+async function reloadImportRange(entry) {
+  const importsById = new Map(data.imports.map((other) => [other.id, other]));
+  const resolved = Array.from(
+    resolveWinners(
+      await loadImportRange(entry),
+      importsById,
+      IMPORTED_ROW_KEYS[entry.kind]
+    ).values()
+  );
+  const outside = (date) => date < entry.startDate || date > entry.endDate;
+  if (entry.kind === "usage") {
+    for (const service of entry.services) {
+      const records = (data.recordsByService.get(service) ?? [])
+        .filter((record) => outside(record.date))
+        .concat(resolved.filter((record) => record.service === service))
+        .sort((a, b) => a.timestamp - b.timestamp);
+      if (records.length) {
+        data.recordsByService.set(service, records);
+      } else {
+        data.recordsByService.delete(service);
+      }
+      markChanged(service, entry.startDate, entry.endDate);
+    }
+  } else if (entry.kind === "billing") {
+    data.billingPeriods = data.billingPeriods
+      .filter((period) => outside(period.startDate))
+      .concat(resolved)
+      .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  } else {
+    data.weatherDays = data.weatherDays
+      .filter((day) => outside(day.date))
+      .concat(resolved)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+}
+
+function sameRow(stored, row) {
+  if (!stored) return false;
+  const keys = new Set([...Object.keys(stored), ...Object.keys(row)]);
+  keys.delete("importId");
+  for (const key of keys) {
+    const a = stored[key];
+    const b = row[key];
+    if (a instanceof Date && b instanceof Date ? a.getTime() !== b.getTime() : a !== b) {
+      return false;
+    }
+  }
+  return true;
+}
+
+async function importFiles(task) {
+  await commitPendingClear();
+  const inputs = [];
+  for (const [index, file] of task.files.entries()) {
+    throwIfCancelled(task);
+    reportProgress(task, `Reading ${file.name}…`, index, task.files.length);
+    inputs.push(...(await readInputFile(file)));
+  }
+  const { report, parsedFiles } = await parseInputs(task, inputs);
+  if (!parsedFiles.length) {
+    return { report, snapshot: null, usageChanged: false };
+  }
+
+  const importsById = new Map(data.imports.map((entry) => [entry.id, entry]));
+  const winners = {
+    usage: resolveWinners(
+      Array.from(data.recordsByService.values()).flat(),
+      importsById,
+      IMPORTED_ROW_KEYS.usage
+    ),
+    billing: resolveWinners(data.billingPeriods, importsById, IMPORTED_ROW_KEYS.billing),
+    weather: resolveWinners(data.weatherDays, importsById, IMPORTED_ROW_KEYS.weather)
+  };
+  const saveRows = {
+    usage: saveRecords,
+    billing: saveBillingPeriods,
+    weather: saveWeatherDays
+  };
+  let saved = 0;
+
+  for (const [index, parsed] of parsedFiles.entries()) {
+    // Files already written stay imported; cancelling skips the rest.
+    if (isCancelled(task)) {
+      if (!saved) throwIfCancelled(task);
+      parsed.report.error = "Cancelled";
+      continue;
+    }
+    reportProgress(task, `Saving ${parsed.report.name}…`, index, parsedFiles.length);
+    const { kind } = parsed;
+    const keyOf = IMPORTED_ROW_KEYS[kind];
+    const rows = parsed.records ?? parsed.periods ?? parsed.weatherDays;
+    const entry = createImportEntry(
+      parsed.report.name,
+      kind,
+      parsed.format,
+      parsed.report.archive
+    );
+    for (const row of rows) {
+      tallyImportRow(entry, row.service, importedRowDates(kind, row));
+    }
+
+    // A file that's already in the log updates that import in place, so only
+    // rows that are new or changed since then are written.
+    const previous = data.imports.find(
+      (other) =>
+        other.fileName === entry.fileName &&
+        other.kind === kind &&
+        other.format === entry.format
+    );
+    const storedRows = previous
+      ? await withoutImport(previous, winners[kind], importsById)
+      : new Map();
+    if (previous) {
+      entry.id = previous.id;
+      data.imports = data.imports.filter((other) => other !== previous);
+    }
+    entry.id = await saveImport(entry);
+    importsById.set(entry.id, entry);
+
+    for (const row of rows) {
+      row.importId = entry.id;
+      const key = keyOf(row);
+      const current = winners[kind].get(key);
+      if (!current) {
+        entry.addedCount += 1;
+      } else if (current.importId !== entry.id) {
+        if (compareImports(entry, importsById.get(current.importId)) < 0) {
+          entry.supersededCount += 1;
+          continue;
+        }
+        entry.replacedCount += 1;
+      }
+      winners[kind].set(key, row);
+      if (kind === "usage") markChanged(row.service, row.date);
+    }
+    const changedRows = rows.filter((row) => !sameRow(storedRows.get(keyOf(row)), row));
+    for (const row of rows) {
+      storedRows.delete(keyOf(row));
+    }
+    await saveRows[kind](changedRows);
+    if (storedRows.size) {
+      await deleteImportedRows(kind, Array.from(storedRows.values()));
+    }
+    await saveImport(entry);
+    data.imports.push(entry);
+    saved += 1;
+    Object.assign(parsed.report, {
+      added: entry.addedCount,
+      replaced: entry.replacedCount,
+      superseded: entry.supersededCount
+    });
+    if (previous) {
+      Object.assign(parsed.report, {
+        updated: changedRows.length,
+        unchanged: rows.length - changedRows.length,
+        removed: storedRows.size
+      });
+    }
+  }
+
+  data.billingPeriods = Array.from(winners.billing.values()).sort((a, b) =>
+    a.startDate.localeCompare(b.startDate)
+  );
+  data.weatherDays = Array.from(winners.weather.values()).sort((a, b) =>
+    a.date.localeCompare(b.date)
+  );
+  const usageChanged = data.changedSpans.size > 0;
+  if (usageChanged) {
+    data.recordsByService = groupByService(
+      Array.from(winners.usage.values()).sort((a, b) => a.timestamp - b.timestamp)
+    );
+  }
+  return { report, snapshot: await rebuild(task, task.settings), usageChanged };
+}
+
+const TASKS = {
+  async load(task) {
+    const undoUntil = await loadPendingClear();
+    if (undoUntil !== null && undoUntil > Date.now()) {
+      schedulePendingClear(undoUntil);
+      return { ...(await rebuild(task, task.settings)), undoClearUntil: undoUntil };
+    }
+    if (undoUntil !== null) {
+      await clearAllRecords();
+    }
+    await readStoredData(task);
+    return rebuild(task, task.settings);
+  },
+  import: importFiles,
+  async remove(task) {
+    await commitPendingClear();
+    reportProgress(task, "Removing import…");
+    const entry = data.imports.find((other) => other.id === task.importId);
+    await deleteImport(task.importId);
+    data.imports = data.imports.filter((other) => other !== entry);
+    if (entry?.startDate) {
+      await reloadImportRange(entry);
+    }
+    return rebuild(task, task.settings);
+  },
+  rebuild(task) {
+    return rebuild(task, task.settings);
+  },
+  async clear(task) {
+    await commitPendingClear();
+    reportProgress(task, "Clearing data…");
+    const undoUntil = Date.now() + CLEAR_UNDO_MS;
+    await savePendingClear(undoUntil);
+    schedulePendingClear(undoUntil);
+    data.imports = [];
+    data.recordsByService = new Map();
+    data.billingPeriods = [];
+    data.weatherDays = [];
+    data.filledByService.clear();
+    data.changedSpans.clear();
+    serviceDays.clear();
+    sumCaches.clear();
+    dayCaches.clear();
+    return { undoUntil };
+  },
+  async undoClear(task) {
+    if (!pendingClear) {
+      throw new Error("The data has already been cleared.");
+    }
+    clearTimeout(pendingClear.timer);
+    pendingClear = null;
+    reportProgress(task, "Restoring cleared data…");
+    await deletePendingClear();
+    await readStoredData(task);
+    return rebuild(task, task.settings);
+  },
+  async backup(task) {
+    await commitPendingClear();
+    reportProgress(task, "Preparing backup…");
+    return exportBackup();
+  },
+  async restore(task) {
+    await commitPendingClear();
+    reportProgress(task, `Reading ${task.file.name}…`);
+    let backup;
+    try {
+      backup = JSON.parse(await readFileAs(task.file, "readAsText"));
+    } catch {
+      throw new Error(`${task.file.name} isn't a valid backup file.`);
+    }
+    validateBackup(backup);
+    reportProgress(task, "Restoring backup…");
+    const summary = await restoreBackup(backup, task.mode);
+    await readStoredData(task);
+    return {
+      summary,
+      settings: backup.settings ?? {},
+      snapshot: await rebuild(task, task.settings)
+    };
+  },
+  // The filled 15-minute records of each service, for exports that list
+  // every source file and fill method.
+  intervals({ services, startDate, endDate }) {
+    return services
+      .flatMap((service) =>
+        filterByRange(data.filledByService.get(service) ?? [], startDate, endDate)
+      )
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+};
+
+// The delete runs in the task queue so it can't interleave with a task.
+function schedulePendingClear(undoUntil) {
+  clearTimeout(pendingClear?.timer);
+  const timer = setTimeout(() => {
+    taskQueue = taskQueue.then(() => commitPendingClear().catch(console.error));
+  }, undoUntil - Date.now());
+  pendingClear = { undoUntil, timer };
+}
+
+// Tells the page once the cleared data can no longer be put back.
+async function commitPendingClear() {
+  if (!pendingClear) return;
+  clearTimeout(pendingClear.timer);
+  pendingClear = null;
+  await clearAllRecords();
+  self.postMessage({ type: "clearCommitted" });
+}
+
+async function runTask(task) {
+  try {
+    const result = await TASKS[task.type](task);
+    self.postMessage({ id: task.id, type: "result", result });
+  } catch (error) {
+    if (!error.cancelled) console.error(error);
+    self.postMessage({
+      id: task.id,
+      type: "error",
+      message: error.message,
+      cancelled: Boolean(error.cancelled)
+    });
+  } finally {
+    cancelledTasks.delete(task.id);
+  }
+}
+
+self.addEventListener("message", ({ data: message }) => {
+  if (message.type === "cancel") {
+    cancelledTasks.add(message.id);
+  } else if (message.type === "mapping") {
+    const pending = mappingReplies.get(message.id);
+    mappingReplies.delete(message.id);
+    if (!pending) return;
+    if (message.error) {
+      pending.reject(new Error(message.error));
+    } else {
+      pending.resolve(message.reply);
+    }
+  } else {
+    // Tasks run one at a time, in the order the page sent them.
+    taskQueue = taskQueue.then(() => runTask(message));
+  }
+});